@@ -0,0 +1,264 @@
+const RedisCacheStrategy = require("../cache/RedisCache");
+
+/**
+ * Token store interface
+ * Short-lived auth state (refresh tokens, revocations) lives behind this
+ * interface so the backing store can be swapped without touching callers.
+ *
+ * Implementations must provide:
+ *   get(key)               -> value or null
+ *   set(key, value, ttl)   -> ttl is in seconds, entries expire afterwards
+ *   setIfAbsent(key, value, ttl)
+ *                          -> true if it stored the value, false if the key
+ *                             already existed; must be atomic, it is what
+ *                             makes single-use tokens single-use
+ *   addMember(key, member, ttl)
+ *   removeMember(key, member)
+ *   members(key)           -> array; a set of strings under `key`, changed
+ *                             one member at a time so concurrent writers do
+ *                             not overwrite each other. addMember renews the
+ *                             set's ttl.
+ *   delete(key)
+ */
+class TokenStore {
+  async get(key) {
+    throw new Error("TokenStore.get() not implemented");
+  }
+
+  async set(key, value, ttl) {
+    throw new Error("TokenStore.set() not implemented");
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    throw new Error("TokenStore.setIfAbsent() not implemented");
+  }
+
+  async setIfPresent(key, value, ttl) {
+    throw new Error("TokenStore.setIfPresent() not implemented");
+  }
+
+  async addMember(key, member, ttl) {
+    throw new Error("TokenStore.addMember() not implemented");
+  }
+
+  async removeMember(key, member) {
+    throw new Error("TokenStore.removeMember() not implemented");
+  }
+
+  async members(key) {
+    throw new Error("TokenStore.members() not implemented");
+  }
+
+  async delete(key) {
+    throw new Error("TokenStore.delete() not implemented");
+  }
+}
+
+/**
+ * In-memory token store
+ * Expired entries are dropped lazily on read and by a periodic sweep
+ */
+class MemoryTokenStore extends TokenStore {
+  constructor(options = {}) {
+    super();
+    this.store = new Map();
+
+    const cleanupInterval = options.cleanupInterval || 60000; // 1 minute
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupInterval);
+    this.cleanupTimer.unref();
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.store.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+    });
+  }
+
+  // Checked and written synchronously, so concurrent callers cannot interleave
+  async setIfAbsent(key, value, ttl) {
+    const entry = this.store.get(key);
+    if (entry && !(entry.expiresAt && entry.expiresAt <= Date.now())) {
+      return false;
+    }
+
+    this.store.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+    });
+    return true;
+  }
+
+  async setIfPresent(key, value, ttl) {
+    const entry = this.store.get(key);
+    if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+      return false;
+    }
+
+    this.store.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+    });
+    return true;
+  }
+
+  // Sets are changed in place, synchronously, like setIfAbsent
+  async addMember(key, member, ttl) {
+    const entry = this.store.get(key);
+    const members =
+      entry && !(entry.expiresAt && entry.expiresAt <= Date.now())
+        ? entry.value
+        : new Set();
+
+    members.add(member);
+    this.store.set(key, {
+      value: members,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+    });
+  }
+
+  async removeMember(key, member) {
+    const entry = this.store.get(key);
+    if (entry) entry.value.delete(member);
+  }
+
+  async members(key) {
+    return [...((await this.get(key)) || [])];
+  }
+
+  async delete(key) {
+    this.store.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.store.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.store.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Redis token store
+ * Reuses the RedisCacheStrategy connection settings (REDIS_HOST, REDIS_PORT, ...)
+ * so auth state can be shared between cluster workers
+ */
+class RedisTokenStore extends TokenStore {
+  constructor(options = {}) {
+    super();
+    const { prefix = "auth:", ...redisOptions } = options;
+    this.prefix = prefix;
+    this.redis = new RedisCacheStrategy(redisOptions);
+    this.connecting = null;
+  }
+
+  async ensureConnected() {
+    if (this.redis.isConnected) return;
+
+    if (!this.connecting) {
+      this.connecting = this.redis.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    const connected = await this.connecting;
+    if (!connected) {
+      throw new Error("Token store unavailable: Redis not connected");
+    }
+  }
+
+  async get(key) {
+    await this.ensureConnected();
+    return this.redis.get(this.prefix + key);
+  }
+
+  async set(key, value, ttl) {
+    await this.ensureConnected();
+    return this.redis.set(this.prefix + key, value, Math.ceil(ttl) || 0);
+  }
+
+  // SET NX checks and writes in one command, so concurrent callers across
+  // workers cannot both win
+  async setIfAbsent(key, value, ttl) {
+    await this.ensureConnected();
+    const reply = await this.redis.client.set(
+      this.prefix + key,
+      JSON.stringify(value),
+      { NX: true, EX: Math.ceil(ttl) || undefined }
+    );
+    return reply === "OK";
+  }
+
+  // SET XX, the same single command the other way round
+  async setIfPresent(key, value, ttl) {
+    await this.ensureConnected();
+    const reply = await this.redis.client.set(
+      this.prefix + key,
+      JSON.stringify(value),
+      { XX: true, EX: Math.ceil(ttl) || undefined }
+    );
+    return reply === "OK";
+  }
+
+  async addMember(key, member, ttl) {
+    await this.ensureConnected();
+    await this.redis.client
+      .multi()
+      .sAdd(this.prefix + key, member)
+      .expire(this.prefix + key, Math.ceil(ttl))
+      .exec();
+  }
+
+  async removeMember(key, member) {
+    await this.ensureConnected();
+    await this.redis.client.sRem(this.prefix + key, member);
+  }
+
+  async members(key) {
+    await this.ensureConnected();
+    return this.redis.client.sMembers(this.prefix + key);
+  }
+
+  async delete(key) {
+    await this.ensureConnected();
+    return this.redis.del(this.prefix + key);
+  }
+}
+
+/**
+ * Factory - picks the implementation from TOKEN_STORE (memory | redis)
+ */
+function createTokenStore(type = process.env.TOKEN_STORE || "memory") {
+  switch (type) {
+    case "memory":
+      return new MemoryTokenStore();
+    case "redis":
+      return new RedisTokenStore();
+    default:
+      throw new Error(`Unknown token store: ${type}`);
+  }
+}
+
+const tokenStore = createTokenStore();
+
+module.exports = {
+  TokenStore,
+  MemoryTokenStore,
+  RedisTokenStore,
+  createTokenStore,
+  tokenStore,
+};
@@ -1,107 +1,247 @@
-const bcrypt = require("bcryptjs");
+const { createUserRepository } = require("./repositories");
+const { passwordHasher } = require("./passwordHasher");
 
 /**
- * Simple in-memory user store for demonstration
- * In production, this would be replaced with a database
+ * User model
+ * Business rules for user records (hashing, defaults, sanitizing) on top of
+ * a pluggable user repository chosen by USER_STORE (memory | json | sqlite).
+ * All lookups and updates are async because the repository may hit disk.
  */
 class User {
-  constructor() {
-    this.users = new Map();
-    this.initializeDefaultUsers();
-  }
-
-  async initializeDefaultUsers() {
-    // Create default admin user
-    await this.createUser({
-      username: "admin",
-      email: "admin@example.com",
-      password: "admin123",
-      role: "admin",
-    });
+  constructor(repository = createUserRepository()) {
+    this.setRepository(repository);
+  }
 
-    // Create default regular user
-    await this.createUser({
-      username: "user",
-      email: "user@example.com",
-      password: "user123",
-      role: "user",
+  setRepository(repository) {
+    this.repository = repository;
+    this.ready = this.initialize();
+
+    // Every method awaits this.ready, so callers still see the failure
+    this.ready.catch((error) => {
+      console.error("Failed to initialize user store:", error);
     });
   }
 
+  async initialize() {
+    await this.repository.init();
+
+    // Demo accounts are opt-in so a persistent store never gets a
+    // well-known admin password by accident
+    if (process.env.SEED_DEFAULT_USERS === "true") {
+      await this.seedDefaultUsers();
+    }
+  }
+
+  async seedDefaultUsers() {
+    const defaults = [
+      // Default admin user
+      {
+        username: "admin",
+        email: "admin@example.com",
+        password: "admin123",
+        role: "admin",
+        emailVerified: true,
+      },
+      // Default regular user
+      {
+        username: "user",
+        email: "user@example.com",
+        password: "user123",
+        role: "user",
+        emailVerified: true,
+      },
+    ];
+
+    for (const userData of defaults) {
+      if (!(await this.repository.findByUsername(userData.username))) {
+        await this.insertUser(userData);
+      }
+    }
+  }
+
   async createUser(userData) {
-    const { username, email, password, role = "user" } = userData;
+    await this.ready;
+    return this.insertUser(userData);
+  }
+
+  async insertUser(userData) {
+    const {
+      username,
+      email,
+      password,
+      role = "user",
+      emailVerified = false,
+    } = userData;
 
     // Check if user already exists
-    if (this.findByUsername(username) || this.findByEmail(email)) {
+    if (
+      (await this.repository.findByUsername(username)) ||
+      (await this.repository.findByEmail(email))
+    ) {
       throw new Error("User already exists");
     }
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = await passwordHasher.hash(password);
 
-    const user = {
+    const user = await this.repository.create({
       id: this.generateId(),
       username,
       email,
       password: hashedPassword,
+      passwordHistory: [],
       role,
       createdAt: new Date(),
       isActive: true,
+      emailVerified,
+      emailVerifiedAt: emailVerified ? new Date() : null,
       loginAttempts: 0,
+      failedLoginAttempts: [],
+      lockedUntil: null,
+      lockoutCount: 0,
       lastLogin: null,
-    };
+      tokenVersion: 0,
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaPendingSecret: null,
+      mfaRecoveryCodes: [],
+      mfaLastUsedStep: null,
+      apiKeys: [],
+    });
 
-    this.users.set(user.id, user);
     return this.sanitizeUser(user);
   }
 
   async validatePassword(plainPassword, hashedPassword) {
-    return await bcrypt.compare(plainPassword, hashedPassword);
+    return passwordHasher.verify(plainPassword, hashedPassword);
   }
 
-  findById(id) {
-    return this.users.get(id);
+  /**
+   * Re-hash a just-verified password if its hash uses older settings
+   * (a different algorithm or cost). Returns true if it was upgraded.
+   */
+  async rehashPasswordIfNeeded(user, plainPassword) {
+    if (!passwordHasher.needsRehash(user.password)) return false;
+
+    await this.updateUser(user.id, {
+      password: await passwordHasher.hash(plainPassword),
+    });
+    return true;
   }
 
-  findByUsername(username) {
-    return Array.from(this.users.values()).find(
-      (user) => user.username === username
-    );
+  async findById(id) {
+    await this.ready;
+    return this.repository.findById(id);
+  }
+
+  async findByUsername(username) {
+    await this.ready;
+    return this.repository.findByUsername(username);
   }
 
-  findByEmail(email) {
-    return Array.from(this.users.values()).find((user) => user.email === email);
+  async findByEmail(email) {
+    await this.ready;
+    return this.repository.findByEmail(email);
   }
 
-  updateUser(id, updates) {
-    const user = this.users.get(id);
-    if (!user) return null;
+  async findByApiKeyPrefix(prefix) {
+    await this.ready;
+    return this.repository.findByApiKeyPrefix(prefix);
+  }
 
-    const updatedUser = { ...user, ...updates, updatedAt: new Date() };
-    this.users.set(id, updatedUser);
-    return this.sanitizeUser(updatedUser);
+  async updateUser(id, updates) {
+    await this.ready;
+    const updatedUser = await this.repository.update(id, {
+      ...updates,
+      updatedAt: new Date(),
+    });
+    return updatedUser ? this.sanitizeUser(updatedUser) : null;
   }
 
-  incrementLoginAttempts(userId) {
-    const user = this.users.get(userId);
-    if (user) {
-      user.loginAttempts = (user.loginAttempts || 0) + 1;
-      this.users.set(userId, user);
+  /**
+   * Update a user based on its current stored state, in one step
+   * change(user) returns the updates, or null to leave the user alone. It
+   * must be synchronous. Returns the updated user, or null if nothing was
+   * written.
+   */
+  async updateUserWith(id, change) {
+    await this.ready;
+    const updatedUser = await this.repository.updateWith(id, (user) => {
+      const updates = change(user);
+      return updates && { ...updates, updatedAt: new Date() };
+    });
+    return updatedUser ? this.sanitizeUser(updatedUser) : null;
+  }
+
+  async resetLoginAttempts(userId) {
+    await this.updateUser(userId, {
+      loginAttempts: 0,
+      failedLoginAttempts: [],
+      lockedUntil: null,
+      lockoutCount: 0,
+      lastLogin: new Date(),
+    });
+  }
+
+  async markEmailVerified(userId) {
+    return this.updateUser(userId, {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+  }
+
+  // Password reset tokens are stored hashed, next to the user they belong to
+  async setPasswordResetToken(userId, tokenHash, expiresAt) {
+    await this.updateUser(userId, {
+      passwordResetTokenHash: tokenHash,
+      passwordResetExpires: expiresAt,
+    });
+  }
+
+  async findByPasswordResetToken(tokenHash) {
+    await this.ready;
+    const user = await this.repository.findByPasswordResetToken(tokenHash);
+    if (!user || new Date(user.passwordResetExpires) <= new Date()) {
+      return null;
     }
+    return user;
+  }
+
+  // Clears the token if it is still this one and unexpired; only one caller
+  // can get true back for a given token
+  async claimPasswordResetToken(userId, tokenHash) {
+    const claimed = await this.updateUserWith(userId, (user) =>
+      tokenHash &&
+      user.passwordResetTokenHash === tokenHash &&
+      new Date(user.passwordResetExpires) > new Date()
+        ? { passwordResetTokenHash: null, passwordResetExpires: null }
+        : null
+    );
+    return Boolean(claimed);
   }
 
-  resetLoginAttempts(userId) {
-    const user = this.users.get(userId);
+  async incrementTokenVersion(userId) {
+    const user = await this.findById(userId);
     if (user) {
-      user.loginAttempts = 0;
-      user.lastLogin = new Date();
-      this.users.set(userId, user);
+      await this.updateUser(userId, {
+        tokenVersion: (user.tokenVersion || 0) + 1,
+      });
     }
   }
 
   sanitizeUser(user) {
-    const { password, ...sanitizedUser } = user;
+    const {
+      password,
+      passwordHistory,
+      failedLoginAttempts,
+      passwordResetTokenHash,
+      passwordResetExpires,
+      mfaSecret,
+      mfaPendingSecret,
+      mfaRecoveryCodes,
+      mfaLastUsedStep,
+      apiKeys,
+      ...sanitizedUser
+    } = user;
     return sanitizedUser;
   }
 
@@ -109,10 +249,67 @@ class User {
     return Date.now().toString() + Math.random().toString(36).substr(2, 9);
   }
 
-  getAllUsers() {
-    return Array.from(this.users.values()).map((user) =>
-      this.sanitizeUser(user)
-    );
+  async deleteUser(id) {
+    await this.ready;
+    return this.repository.delete(id);
+  }
+
+  async getAllUsers() {
+    await this.ready;
+    const users = await this.repository.list();
+    return users.map((user) => this.sanitizeUser(user));
+  }
+
+  // Role change requests (see auth/roleAssignments.js)
+  async createRoleRequest(request) {
+    await this.ready;
+    return this.repository.createRoleRequest(request);
+  }
+
+  async findRoleRequestById(id) {
+    await this.ready;
+    return this.repository.findRoleRequestById(id);
+  }
+
+  async updateRoleRequest(id, updates) {
+    await this.ready;
+    return this.repository.updateRoleRequest(id, updates);
+  }
+
+  async listRoleRequests(filter) {
+    await this.ready;
+    return this.repository.listRoleRequests(filter);
+  }
+
+  // Invitations (see auth/invitations.js)
+  async createInvitation(invitation) {
+    await this.ready;
+    return this.repository.createInvitation(invitation);
+  }
+
+  async findInvitationById(id) {
+    await this.ready;
+    return this.repository.findInvitationById(id);
+  }
+
+  async findInvitationByTokenHash(tokenHash) {
+    await this.ready;
+    return this.repository.findInvitationByTokenHash(tokenHash);
+  }
+
+  async updateInvitation(id, updates) {
+    await this.ready;
+    return this.repository.updateInvitation(id, updates);
+  }
+
+  async claimInvitation(id, tokenHash, updates) {
+    await this.ready;
+    return this.repository.claimInvitation(id, tokenHash, updates);
+  }
+
+  async listInvitations(filter) {
+    await this.ready;
+    return this.repository.listInvitations(filter);
   }
 }
 
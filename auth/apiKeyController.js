@@ -0,0 +1,89 @@
+const { validationResult } = require("express-validator");
+const { apiKeyService } = require("./apiKeys");
+
+class ApiKeyController {
+  async create(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, scopes, expiresInDays } = req.body;
+      let result;
+      try {
+        result = await apiKeyService.create(req.user.userId, {
+          name,
+          scopes,
+          expiresInDays,
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Copy it now - it will not be shown again.",
+        data: {
+          key: result.key,
+          apiKey: result.apiKey,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async list(req, res) {
+    try {
+      const apiKeys = await apiKeyService.list(req.user.userId);
+
+      res.json({
+        success: true,
+        data: { apiKeys },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async revoke(req, res) {
+    try {
+      const revoked = await apiKeyService.revoke(
+        req.user.userId,
+        req.params.keyId
+      );
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "API key revoked",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
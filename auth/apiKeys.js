@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const User = require("./User");
+
+const KEY_PREFIX = "nip";
+// nip_<12 hex prefix>_<secret>
+const KEY_PATTERN = /^nip_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Personal API keys for machine clients
+ * The full key is shown once at creation. Only its SHA-256 hash is stored,
+ * next to a public prefix that is used to find the owner without scanning
+ * every user. Keys may expire and may be limited to a set of scopes; a key
+ * without scopes can do anything its owner can.
+ */
+class ApiKeyService {
+  constructor(options = {}) {
+    this.maxKeysPerUser =
+      options.maxKeysPerUser ||
+      parseInt(process.env.API_KEY_MAX_PER_USER) ||
+      10;
+    // Avoid a store write on every request just to bump lastUsedAt
+    this.lastUsedResolutionMs = options.lastUsedResolutionMs || 60 * 1000;
+  }
+
+  async create(userId, { name, scopes = [], expiresInDays } = {}) {
+    const prefix = crypto.randomBytes(6).toString("hex");
+    const key = `${KEY_PREFIX}_${prefix}_${crypto
+      .randomBytes(32)
+      .toString("base64url")}`;
+
+    const apiKey = {
+      id: crypto.randomUUID(),
+      name,
+      prefix,
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+      createdAt: new Date(),
+      lastUsedAt: null,
+    };
+
+    // Checked against the stored keys, so parallel creates respect the limit
+    let limitReached = false;
+    const user = await User.updateUserWith(userId, (current) => {
+      const apiKeys = current.apiKeys || [];
+      if (apiKeys.length >= this.maxKeysPerUser) {
+        limitReached = true;
+        return null;
+      }
+      return { apiKeys: [...apiKeys, apiKey] };
+    });
+    if (limitReached) {
+      throw new Error(
+        `API key limit reached (${this.maxKeysPerUser} keys per user)`
+      );
+    }
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return { key, apiKey: this.describe(apiKey) };
+  }
+
+  async list(userId) {
+    const user = await User.findById(userId);
+    return user ? (user.apiKeys || []).map((k) => this.describe(k)) : [];
+  }
+
+  // Key changes go through updateUserWith so they always start from the
+  // stored list - a write based on an older read could bring back a
+  // revoked key
+  async revoke(userId, keyId) {
+    const user = await User.updateUserWith(userId, (current) => {
+      const apiKeys = current.apiKeys || [];
+      const remaining = apiKeys.filter((k) => k.id !== keyId);
+      return remaining.length < apiKeys.length ? { apiKeys: remaining } : null;
+    });
+    return Boolean(user);
+  }
+
+  // Used when every credential has to go: log out everywhere, password reset
+  async revokeAll(userId) {
+    let count = 0;
+    await User.updateUserWith(userId, (current) => {
+      count = (current.apiKeys || []).length;
+      return count > 0 ? { apiKeys: [] } : null;
+    });
+    return count;
+  }
+
+  /**
+   * Look up a presented key
+   * Returns { user, apiKey } for a known, unexpired key, otherwise null
+   */
+  async verify(key, now = Date.now()) {
+    const match = KEY_PATTERN.exec(key || "");
+    if (!match) return null;
+
+    const user = await User.findByApiKeyPrefix(match[1]);
+    const apiKey =
+      user && (user.apiKeys || []).find((k) => k.prefix === match[1]);
+    if (!apiKey) return null;
+
+    const presented = Buffer.from(hashKey(key), "hex");
+    const stored = Buffer.from(apiKey.keyHash, "hex");
+    if (
+      presented.length !== stored.length ||
+      !crypto.timingSafeEqual(presented, stored)
+    ) {
+      return null;
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= now) {
+      return null;
+    }
+
+    const lastUsedAt = apiKey.lastUsedAt
+      ? new Date(apiKey.lastUsedAt).getTime()
+      : 0;
+    if (now - lastUsedAt >= this.lastUsedResolutionMs) {
+      // Only touch this key, and only if it has not been revoked meanwhile
+      const updated = await User.updateUserWith(user.id, (current) => {
+        const apiKeys = current.apiKeys || [];
+        if (!apiKeys.some((k) => k.id === apiKey.id)) return null;
+        return {
+          apiKeys: apiKeys.map((k) =>
+            k.id === apiKey.id ? { ...k, lastUsedAt: new Date(now) } : k
+          ),
+        };
+      });
+      if (!updated) return null;
+    }
+
+    return { user, apiKey };
+  }
+
+  isApiKey(value) {
+    return typeof value === "string" && value.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  // Everything except the hash
+  describe(apiKey) {
+    const { keyHash, ...description } = apiKey;
+    return description;
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = { ApiKeyService, apiKeyService };
@@ -1,6 +1,19 @@
 const { validationResult } = require("express-validator");
 const User = require("./User");
 const JWTService = require("./jwt");
+const { lockoutPolicy } = require("./lockoutPolicy");
+const { sessionService } = require("./sessions");
+const { apiKeyService } = require("./apiKeys");
+const { cookieAuth } = require("./cookies");
+const { passwordPolicy } = require("./passwordPolicy");
+const { mailer } = require("../mail");
+const { emailVerificationEmail } = require("./emails");
+
+// Route handlers are passed around unbound, so helpers live at module level
+const sendVerificationEmail = async (user) => {
+  const token = JWTService.generateEmailVerificationToken(user);
+  await mailer.send(emailVerificationEmail(user, token));
+};
 
 class AuthController {
   async register(req, res) {
@@ -15,25 +28,46 @@ class AuthController {
         });
       }
 
-      const { username, email, password, role } = req.body;
+      const { username, email, password } = req.body;
+
+      const failures = await passwordPolicy.validate(password, {
+        username,
+        email,
+      });
+      if (failures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Password does not meet the password policy",
+          errors: failures,
+        });
+      }
 
-      // Create user
+      // Create user - always as a plain user, whatever the client sent;
+      // elevated roles go through the admin role assignment endpoint
       const user = await User.createUser({
         username,
         email,
         password,
-        role: role || "user", // Default to 'user' role
+        role: "user",
       });
 
+      // A mail failure should not undo the registration -
+      // the user can ask for a new link via /resend-verification
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Failed to send verification email:", error);
+      }
+
       // Generate tokens
-      const tokens = JWTService.generateTokenPair(user);
+      const tokens = await sessionService.start(user, req);
 
       res.status(201).json({
         success: true,
         message: "User registered successfully",
         data: {
           user,
-          ...tokens,
+          ...cookieAuth.issue(req, res, tokens),
         },
       });
     } catch (error) {
@@ -58,7 +92,9 @@ class AuthController {
       const { username, password } = req.body;
 
       // Find user
-      const user = User.findByUsername(username) || User.findByEmail(username);
+      const user =
+        (await User.findByUsername(username)) ||
+        (await User.findByEmail(username));
       if (!user) {
         return res.status(401).json({
           success: false,
@@ -66,12 +102,15 @@ class AuthController {
         });
       }
 
-      // Check if account is locked due to too many failed attempts
-      if (user.loginAttempts >= 5) {
+      // Locks expire on their own - tell the client when to come back
+      const lockStatus = await lockoutPolicy.check(user);
+      if (lockStatus.locked) {
+        res.set("Retry-After", String(lockStatus.retryAfter));
         return res.status(423).json({
           success: false,
           message:
             "Account temporarily locked due to too many failed login attempts",
+          retryAfter: lockStatus.retryAfter,
         });
       }
 
@@ -81,18 +120,68 @@ class AuthController {
         user.password
       );
       if (!isValidPassword) {
-        User.incrementLoginAttempts(user.id);
+        const failureStatus = await lockoutPolicy.recordFailure(user);
+        if (failureStatus.locked) {
+          res.set("Retry-After", String(failureStatus.retryAfter));
+          return res.status(423).json({
+            success: false,
+            message:
+              "Account temporarily locked due to too many failed login attempts",
+            retryAfter: failureStatus.retryAfter,
+          });
+        }
+
         return res.status(401).json({
           success: false,
           message: "Invalid credentials",
         });
       }
 
+      // Parallel guesses all pass the check above before any of them has
+      // failed, so look again now that the slow hash is done
+      const recheck = await lockoutPolicy.check(
+        (await User.findById(user.id)) || user
+      );
+      if (recheck.locked) {
+        res.set("Retry-After", String(recheck.retryAfter));
+        return res.status(423).json({
+          success: false,
+          message:
+            "Account temporarily locked due to too many failed login attempts",
+          retryAfter: recheck.retryAfter,
+        });
+      }
+
+      // Checked after the password so it does not reveal account state.
+      // Tokens for an inactive account would be refused anyway.
+      if (!user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: "Account is deactivated",
+        });
+      }
+
+      // The only time we have the plain password to upgrade an old hash
+      await User.rehashPasswordIfNeeded(user, password);
+
+      // Two-step login: the password is right, now ask for a TOTP code.
+      // Login attempts are reset only after the second factor succeeds.
+      if (user.mfaEnabled) {
+        return res.json({
+          success: true,
+          message: "MFA verification required",
+          data: {
+            mfaRequired: true,
+            mfaToken: JWTService.generateMfaPendingToken(user),
+          },
+        });
+      }
+
       // Reset login attempts on successful login
-      User.resetLoginAttempts(user.id);
+      await lockoutPolicy.recordSuccess(user);
 
       // Generate tokens
-      const tokens = JWTService.generateTokenPair(user);
+      const tokens = await sessionService.start(user, req);
       const sanitizedUser = User.sanitizeUser(user);
 
       res.json({
@@ -100,7 +189,7 @@ class AuthController {
         message: "Login successful",
         data: {
           user: sanitizedUser,
-          ...tokens,
+          ...cookieAuth.issue(req, res, tokens),
         },
       });
     } catch (error) {
@@ -113,7 +202,20 @@ class AuthController {
 
   async refreshToken(req, res) {
     try {
-      const { refreshToken } = req.body;
+      let { refreshToken } = req.body;
+
+      // Cookie clients send the refresh token as a cookie, and like any
+      // cookie-authenticated request they must pass the CSRF check
+      if (!refreshToken && cookieAuth.refreshToken(req)) {
+        refreshToken = cookieAuth.refreshToken(req);
+        req.authCookie = true;
+        if (!cookieAuth.verifyCsrf(req)) {
+          return res.status(403).json({
+            success: false,
+            message: "Invalid or missing CSRF token",
+          });
+        }
+      }
 
       if (!refreshToken) {
         return res.status(400).json({
@@ -122,24 +224,36 @@ class AuthController {
         });
       }
 
-      // Verify refresh token
-      const decoded = JWTService.verifyToken(refreshToken);
-      const user = User.findById(decoded.userId);
+      // Verify refresh token and retire it - each one can be used only once
+      const decoded = await JWTService.rotateRefreshToken(refreshToken);
+      const user = await User.findById(decoded.userId);
 
-      if (!user) {
+      // Tokens issued before a "log out everywhere" are dead
+      if (
+        !user ||
+        !user.isActive ||
+        (decoded.tv || 0) !== (user.tokenVersion || 0)
+      ) {
+        await JWTService.revokeFamily(decoded.family);
         return res.status(401).json({
           success: false,
           message: "Invalid refresh token",
         });
       }
 
-      // Generate new token pair
-      const tokens = JWTService.generateTokenPair(user);
+      // Generate new token pair in the same session
+      const tokens = await sessionService.refresh(user, decoded.family, req);
+      if (!tokens) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid refresh token",
+        });
+      }
 
       res.json({
         success: true,
         message: "Token refreshed successfully",
-        data: tokens,
+        data: cookieAuth.issue(req, res, tokens),
       });
     } catch (error) {
       res.status(401).json({
@@ -151,7 +265,7 @@ class AuthController {
 
   async getProfile(req, res) {
     try {
-      const user = User.findById(req.user.userId);
+      const user = await User.findById(req.user.userId);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -186,7 +300,7 @@ class AuthController {
       const userId = req.user.userId;
 
       // Check if email is already taken by another user
-      const existingUser = User.findByEmail(email);
+      const existingUser = await User.findByEmail(email);
       if (existingUser && existingUser.id !== userId) {
         return res.status(400).json({
           success: false,
@@ -194,14 +308,32 @@ class AuthController {
         });
       }
 
-      const updatedUser = User.updateUser(userId, { email });
-      if (!updatedUser) {
+      const currentUser = await User.findById(userId);
+      if (!currentUser) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
+      // A new address has to be verified again
+      const emailChanged = email !== undefined && email !== currentUser.email;
+      const updatedUser = await User.updateUser(userId, {
+        ...(emailChanged && {
+          email,
+          emailVerified: false,
+          emailVerifiedAt: null,
+        }),
+      });
+
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(updatedUser);
+        } catch (error) {
+          console.error("Failed to send verification email:", error);
+        }
+      }
+
       res.json({
         success: true,
         message: "Profile updated successfully",
@@ -215,13 +347,205 @@ class AuthController {
     }
   }
 
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.query;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification token is required",
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = JWTService.verifyEmailVerificationToken(token);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired verification token",
+        });
+      }
+
+      // The token is only good for the address it was sent to
+      const user = await User.findById(decoded.userId);
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired verification token",
+        });
+      }
+
+      if (user.emailVerified) {
+        return res.json({
+          success: true,
+          message: "Email already verified",
+        });
+      }
+
+      const updatedUser = await User.markEmailVerified(user.id);
+
+      res.json({
+        success: true,
+        message: "Email verified successfully",
+        data: updatedUser,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async resendVerification(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Email already verified",
+        });
+      }
+
+      await sendVerificationEmail(user);
+
+      res.json({
+        success: true,
+        message: "Verification email sent",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
   async logout(req, res) {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return a success message
-    res.json({
-      success: true,
-      message: "Logged out successfully",
-    });
+    try {
+      // Deny the current access token for the rest of its lifetime and
+      // end its session, which retires the session's refresh tokens
+      await JWTService.revokeAccessToken(req.user);
+      await sessionService.revoke(req.user.userId, req.user.sid);
+
+      // Retire the refresh token too, if the client sent it
+      const refreshToken =
+        (req.body || {}).refreshToken || cookieAuth.refreshToken(req);
+      if (refreshToken) {
+        try {
+          const decoded = JWTService.verifyToken(refreshToken);
+          if (
+            decoded.type === "refresh" &&
+            decoded.userId === req.user.userId
+          ) {
+            await JWTService.revokeFamily(decoded.family);
+          }
+        } catch (error) {
+          // An invalid refresh token is already useless - nothing to revoke
+        }
+      }
+
+      cookieAuth.clear(req, res);
+
+      res.json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async listSessions(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      const sessions = await sessionService.list(user);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map((session) => ({
+            id: session.id,
+            device: session.device,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: session.expiresAt,
+            // Set when an administrator is using this session as the user
+            impersonatedBy: session.impersonatedBy
+              ? session.impersonatedBy.username
+              : null,
+            current: session.id === req.user.sid,
+          })),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async revokeSession(req, res) {
+    try {
+      const revoked = await sessionService.revoke(
+        req.user.userId,
+        req.params.sessionId
+      );
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Session revoked",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async logoutAll(req, res) {
+    try {
+      // Bumping the token version invalidates every outstanding access and
+      // refresh token for this user, on every device
+      await User.incrementTokenVersion(req.user.userId);
+      await JWTService.revokeAccessToken(req.user);
+      await sessionService.revokeAll(req.user.userId);
+      await apiKeyService.revokeAll(req.user.userId);
+
+      cookieAuth.clear(req, res);
+
+      res.json({
+        success: true,
+        message: "Logged out from all devices successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
   }
 }
 
@@ -0,0 +1,29 @@
+const EventEmitter = require("events");
+
+/**
+ * Auth event hook
+ * Security-relevant events are emitted here so logging, alerting or audit
+ * code can subscribe without the auth flows knowing about it:
+ *
+ *   authEvents.on("account.locked", ({ userId, lockedUntil }) => { ... });
+ *
+ * Events:
+ *   account.locked   { userId, username, attempts, lockedUntil, lockoutCount }
+ *   account.unlocked { userId, username, reason } - reason: expired | manual | login | password-reset
+ *   role.requested   { requestId, userId, fromRole, toRole, requestedBy }
+ *   role.approved    { requestId, userId, fromRole, toRole, requestedBy, decidedBy }
+ *   role.rejected    { requestId, userId, fromRole, toRole, requestedBy, decidedBy }
+ *   role.definition_changed { role, previous, definition, changedBy } - previous is null for a new role
+ *   impersonation.started { sessionId, actorId, actorUsername, userId, username, reason, expiresAt }
+ *   impersonation.request { sessionId, actorId, actorUsername, userId, username, method, path, status, ip, at }
+ *   invitation.created  { invitationId, email, role, invitedBy, expiresAt }
+ *   invitation.resent   { invitationId, email, resentBy, expiresAt }
+ *   invitation.revoked  { invitationId, email, revokedBy }
+ *   invitation.accepted { invitationId, email, userId, username, role, roleRequestStatus }
+ *   account.deletion_requested { userId, username, scheduledFor, mode }
+ *   account.deletion_cancelled { userId, username, cancelledBy }
+ *   account.deleted  { userId, mode } - mode: anonymize | delete
+ */
+class AuthEvents extends EventEmitter {}
+
+module.exports = new AuthEvents();
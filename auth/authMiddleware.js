@@ -1,49 +1,269 @@
 const JWTService = require("./jwt");
 const User = require("./User");
+const { apiKeyService } = require("./apiKeys");
+const { roleRegistry } = require("./rbac");
+const { sessionService } = require("./sessions");
+const { impersonationService } = require("./impersonation");
+const { oauthClients } = require("./oauthClients");
+const { cookieAuth } = require("./cookies");
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Verify a bearer token and load its user
+ * Rejects revoked tokens, tokens whose session has been ended and tokens
+ * issued before the user's last "log out everywhere" (token version mismatch)
  */
-const authenticate = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
+const resolveToken = async (token, req) => {
+  const decoded = await JWTService.verifyAccessToken(token);
+
+  const session = await sessionService.get(decoded.sid);
+  if (!session) {
+    throw new Error("Session has been revoked or has expired");
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    return { decoded, user: null };
+  }
+
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw new Error("Token version is no longer valid");
+  }
+
+  await sessionService.touch(session, req);
+  return { decoded, user };
+};
+
+/**
+ * Verify a personal API key and describe it the way an access token would
+ * be decoded, so handlers see the same req.user either way
+ */
+const resolveApiKey = async (key) => {
+  const result = await apiKeyService.verify(key);
+  if (!result) {
+    throw new Error("Invalid or expired API key");
+  }
+
+  const { user, apiKey } = result;
+  const decoded = {
+    userId: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    amr: ["api-key"],
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+
+  return { decoded, user: user.isActive ? user : null };
+};
+
+// Client tokens are typed, so the type tells them apart from user tokens
+// before anything is verified
+const isClientToken = (token) => {
+  const decoded = token && JWTService.decodeToken(token);
+  return Boolean(decoded && decoded.type === "client");
+};
+
+/**
+ * Authentication middleware factory
+ * Credentials are taken from, in order: an `Authorization: Bearer` header,
+ * an API key (when allowed) and the access_token cookie. Cookie-authenticated
+ * requests with a state-changing method must pass the CSRF check.
+ * Options:
+ *   requireVerifiedEmail - reject users who have not verified their email yet
+ *   allowApiKey          - also accept a personal API key, sent as
+ *                          `X-API-Key: <key>` or `Authorization: Bearer <key>`
+ *   apiKeyScope          - scope an API key needs for this route (keys
+ *                          without scopes are not restricted)
+ *   clientScope          - also accept an OAuth2 client access token with
+ *                          this scope; such requests get req.oauthClient
+ *                          (see requireScope) instead of req.user
+ *   allowImpersonation   - accept impersonation tokens (default true); turn
+ *                          off for routes an administrator acting as the
+ *                          user must not reach
+ *   optional             - let requests without credentials through with no
+ *                          req.user; credentials that are sent must be valid
+ */
+const authenticateWith = (options = {}) => {
+  const {
+    requireVerifiedEmail = false,
+    allowApiKey = false,
+    apiKeyScope = null,
+    clientScope = null,
+    allowImpersonation = true,
+    optional = false,
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      const bearer =
+        authHeader && authHeader.startsWith("Bearer ")
+          ? authHeader.substring(7) // Remove 'Bearer ' prefix
+          : null;
+
+      if (clientScope && isClientToken(bearer)) {
+        return requireScope(clientScope)(req, res, next);
+      }
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      let apiKey = null;
+      if (allowApiKey) {
+        apiKey =
+          req.headers["x-api-key"] ||
+          (apiKeyService.isApiKey(bearer) ? bearer : null);
+      }
+
+      const cookieToken =
+        !bearer && !apiKey ? cookieAuth.accessToken(req) : null;
+
+      if (!bearer && !apiKey && !cookieToken) {
+        if (optional) {
+          return next();
+        }
+        return res.status(401).json({
+          success: false,
+          message: allowApiKey
+            ? "Access token or API key is required"
+            : "Access token is required",
+        });
+      }
+
+      // The browser attaches cookies to any request, even forged ones
+      if (cookieToken) {
+        req.authCookie = true;
+        if (!cookieAuth.verifyCsrf(req)) {
+          return res.status(403).json({
+            success: false,
+            message: "Invalid or missing CSRF token",
+          });
+        }
+      }
+
+      // Verify the credential and check if user still exists
+      const { decoded, user } = apiKey
+        ? await resolveApiKey(apiKey)
+        : await resolveToken(bearer || cookieToken, req);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "User not found or inactive",
+        });
+      }
+
+      // Audit before any check below, so refused requests are logged too
+      if (decoded.act) {
+        impersonationService.auditRequest(req, res, decoded);
+
+        if (!allowImpersonation) {
+          return res.status(403).json({
+            success: false,
+            message: "Not allowed while impersonating a user",
+          });
+        }
+      }
+
+      if (requireVerifiedEmail && !user.emailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: "Email verification required",
+        });
+      }
+
+      if (
+        apiKeyScope &&
+        decoded.apiKeyId &&
+        decoded.scopes.length > 0 &&
+        !decoded.scopes.includes(apiKeyScope)
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is missing the "${apiKeyScope}" scope`,
+        });
+      }
+
+      // Add user info to request object
+      req.user = decoded;
+      next();
+    } catch (error) {
       return res.status(401).json({
         success: false,
-        message: "Access token is required",
+        message: "Invalid or expired token",
       });
     }
+  };
+};
+
+/**
+ * Authentication middleware to verify JWT tokens
+ */
+const authenticate = authenticateWith();
+
+/**
+ * Like authenticate, but refuses impersonation tokens
+ */
+const authenticateSelf = authenticateWith({ allowImpersonation: false });
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+// Roles that always need MFA, e.g. MFA_REQUIRED_ROLES=admin
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
 
-    // Verify token
-    const decoded = JWTService.verifyToken(token);
+// Options may be passed as the last argument to authorize/requirePermission
+const splitOptions = (args) =>
+  typeof args[args.length - 1] === "object"
+    ? [args.slice(0, -1), args[args.length - 1]]
+    : [args, {}];
 
-    // Check if user still exists
-    const user = User.findById(decoded.userId);
-    if (!user || !user.isActive) {
+const mfaSatisfied = (user, options) => {
+  const requireMfa =
+    options.requireMfa ?? MFA_REQUIRED_ROLES.includes(user.role);
+  return !requireMfa || (user.amr || []).includes("mfa");
+};
+
+/**
+ * Authorization middleware to check user roles
+ * An options object may be passed last:
+ *   requireMfa - the session must have been authenticated with MFA.
+ *                Defaults to true for roles listed in MFA_REQUIRED_ROLES.
+ */
+const authorize = (...args) => {
+  const [roles, options] = splitOptions(args);
+
+  return (req, res, next) => {
+    if (!req.user) {
       return res.status(401).json({
         success: false,
-        message: "User not found or inactive",
+        message: "Authentication required",
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Insufficient permissions",
+      });
+    }
+
+    if (!mfaSatisfied(req.user, options)) {
+      return res.status(403).json({
+        success: false,
+        message: "Multi-factor authentication required",
       });
     }
 
-    // Add user info to request object
-    req.user = decoded;
     next();
-  } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: "Invalid or expired token",
-    });
-  }
+  };
 };
 
 /**
- * Authorization middleware to check user roles
+ * Authorization middleware to check permissions
+ * The user's role must grant every listed permission (see auth/rbac.js).
+ * Accepts the same trailing options object as authorize().
  */
-const authorize = (...roles) => {
+const requirePermission = (...args) => {
+  const [permissions, options] = splitOptions(args);
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -52,10 +272,77 @@ const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const missing = permissions.filter(
+      (permission) => !roleRegistry.hasPermission(req.user.role, permission)
+    );
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
         message: "Insufficient permissions",
+        missingPermissions: missing,
+      });
+    }
+
+    if (!mfaSatisfied(req.user, options)) {
+      return res.status(403).json({
+        success: false,
+        message: "Multi-factor authentication required",
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * OAuth2 scope middleware for routes called by registered clients
+ * Accepts a client access token from /oauth/token and requires every listed
+ * scope. The first requireScope() on a route verifies the token and sets
+ * req.oauthClient = { clientId, name, scopes }; later ones only check scopes.
+ */
+const requireScope = (...scopes) => {
+  return async (req, res, next) => {
+    if (!req.oauthClient) {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({
+          success: false,
+          message: "Client access token is required",
+        });
+      }
+
+      try {
+        const decoded = await JWTService.verifyClientAccessToken(
+          authHeader.substring(7)
+        );
+
+        // Deleting a client cuts off its outstanding tokens
+        const client = oauthClients.get(decoded.client_id);
+        if (!client) {
+          throw new Error("Unknown client");
+        }
+
+        req.oauthClient = {
+          clientId: client.clientId,
+          name: client.name,
+          scopes: decoded.scope.split(" ").filter(Boolean),
+        };
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired token",
+        });
+      }
+    }
+
+    const missing = scopes.filter(
+      (scope) => !req.oauthClient.scopes.includes(scope)
+    );
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Insufficient scope",
+        missingScopes: missing,
       });
     }
 
@@ -66,16 +353,27 @@ const authorize = (...roles) => {
 /**
  * Optional authentication middleware - doesn't fail if no token provided
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
+    let token =
+      authHeader && authHeader.startsWith("Bearer ")
+        ? authHeader.substring(7)
+        : null;
+
+    // A cookie that fails the CSRF check is treated as no credentials
+    if (!token && cookieAuth.accessToken(req) && cookieAuth.verifyCsrf(req)) {
+      token = cookieAuth.accessToken(req);
+      req.authCookie = true;
+    }
 
-    if (authHeader && authHeader.startsWith("Bearer ")) {
-      const token = authHeader.substring(7);
-      const decoded = JWTService.verifyToken(token);
+    if (token) {
+      const { decoded, user } = await resolveToken(token, req);
 
-      const user = User.findById(decoded.userId);
-      if (user && user.isActive) {
+      if (user) {
+        if (decoded.act) {
+          impersonationService.auditRequest(req, res, decoded);
+        }
         req.user = decoded;
       }
     }
@@ -115,7 +413,11 @@ const ownerOrAdmin = (resourceUserIdField = "userId") => {
 
 module.exports = {
   authenticate,
+  authenticateWith,
+  authenticateSelf,
   authorize,
+  requirePermission,
+  requireScope,
   optionalAuth,
   ownerOrAdmin,
 };
@@ -2,12 +2,33 @@ const express = require("express");
 const rateLimit = require("express-rate-limit");
 const authController = require("./authController");
 const passwordController = require("./passwordController");
-const { authenticate, authorize, ownerOrAdmin } = require("./authMiddleware");
+const mfaController = require("./mfaController");
+const apiKeyController = require("./apiKeyController");
+const invitationController = require("./invitationController");
+const magicLinkController = require("./magicLinkController");
+const privacyController = require("./privacyController");
+const { presets, keyGenerators } = require("../rate-limiting");
+const {
+  authenticate,
+  authenticateSelf,
+  authorize,
+  ownerOrAdmin,
+} = require("./authMiddleware");
 const {
   registerValidation,
   loginValidation,
   updateProfileValidation,
   changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  magicLinkValidation,
+  consumeMagicLinkValidation,
+  mfaConfirmValidation,
+  mfaDisableValidation,
+  mfaLoginValidation,
+  createApiKeyValidation,
+  acceptInvitationValidation,
+  deleteAccountValidation,
 } = require("./validators");
 
 const router = express.Router();
@@ -33,6 +54,28 @@ const generalLimiter = rateLimit({
   },
 });
 
+// Login links are emails, so also cap how many one address can receive.
+// Runs after validation has normalized the email.
+const magicLinkEmailLimiter = presets.email({
+  maxRequests: parseInt(process.env.MAGIC_LINK_MAX_PER_EMAIL) || 5,
+  keyGenerator: (req) =>
+    `magic-link:${String(keyGenerators.byEmail(req)).toLowerCase()}`,
+  handler(req, res) {
+    res.status(429).json({
+      success: false,
+      message:
+        "Too many login links requested for this email, please try again later",
+      retryAfter: Number(res.getHeader("Retry-After")),
+    });
+  },
+});
+
+// The memory store only forgets finished windows when asked to
+setInterval(
+  () => magicLinkEmailLimiter.store.cleanup(magicLinkEmailLimiter.windowMs),
+  10 * 60 * 1000
+).unref();
+
 /**
  * @swagger
  * components:
@@ -51,8 +94,7 @@ const generalLimiter = rateLimit({
  *           description: User email
  *         role:
  *           type: string
- *           enum: [user, admin, moderator]
- *           description: User role
+ *           description: User role (see config/roles.json)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -60,6 +102,9 @@ const generalLimiter = rateLimit({
  *         isActive:
  *           type: boolean
  *           description: Account status
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the email address has been verified
  *
  *     AuthResponse:
  *       type: object
@@ -85,6 +130,17 @@ const generalLimiter = rateLimit({
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *     oauthClient:
+ *       type: oauth2
+ *       flows:
+ *         clientCredentials:
+ *           tokenUrl: /oauth/token
+ *           scopes:
+ *             compute: Run the /api/compute jobs
  */
 
 /**
@@ -92,6 +148,7 @@ const generalLimiter = rateLimit({
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Creates the account with the user role and emails a verification link. Other roles are assigned by an administrator.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -113,11 +170,7 @@ const generalLimiter = rateLimit({
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
- *               role:
- *                 type: string
- *                 enum: [user, admin, moderator]
- *                 default: user
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -126,7 +179,7 @@ const generalLimiter = rateLimit({
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, password policy failures or user already exists
  */
 router.post(
   "/register",
@@ -140,7 +193,14 @@ router.post(
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: If the account has MFA enabled, the response contains mfaRequired and a short-lived mfaToken instead of tokens. Exchange it at /api/auth/login/mfa. With X-Auth-Mode cookie the tokens are set as httpOnly cookies and the body carries a csrfToken instead.
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: X-Auth-Mode
+ *         schema:
+ *           type: string
+ *           enum: [cookie]
  *     requestBody:
  *       required: true
  *       content:
@@ -166,15 +226,21 @@ router.post(
  *       401:
  *         description: Invalid credentials
  *       423:
- *         description: Account locked due to too many failed attempts
+ *         description: Account temporarily locked due to too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds until the lock expires
+ *             schema:
+ *               type: integer
  */
 router.post("/login", authLimiter, loginValidation, authController.login);
 
 /**
  * @swagger
- * /api/auth/refresh:
+ * /api/auth/login/mfa:
  *   post:
- *     summary: Refresh access token
+ *     summary: Complete a two-step login
+ *     description: Exchanges the mfaToken from /api/auth/login and a TOTP code (or a recovery code) for a token pair
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -183,7 +249,52 @@ router.post("/login", authLimiter, loginValidation, authController.login);
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid MFA token or verification code
+ *       423:
+ *         description: Account temporarily locked due to too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds until the lock expires
+ *             schema:
+ *               type: integer
+ */
+router.post(
+  "/login/mfa",
+  authLimiter,
+  mfaLoginValidation,
+  mfaController.verifyLogin
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchanges a refresh token for a new token pair. The old refresh token is retired; presenting it again revokes every token issued from the same login. Cookie clients send no body - the refresh_token cookie is used and an X-CSRF-Token header is required.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
  *               refreshToken:
  *                 type: string
@@ -191,7 +302,9 @@ router.post("/login", authLimiter, loginValidation, authController.login);
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired, reused or revoked refresh token
+ *       403:
+ *         description: Refresh token cookie sent without a valid CSRF token
  */
 router.post("/refresh", generalLimiter, authController.refreshToken);
 
@@ -227,6 +340,7 @@ router.get("/profile", generalLimiter, authenticate, authController.getProfile);
  * /api/auth/profile:
  *   put:
  *     summary: Update user profile
+ *     description: Changing the email marks it unverified and sends a new verification link
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -247,29 +361,161 @@ router.get("/profile", generalLimiter, authenticate, authController.getProfile);
  *         description: Validation error or email already in use
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: Not allowed with an impersonation token
  */
 router.put(
   "/profile",
   generalLimiter,
-  authenticate,
+  authenticateSelf,
   updateProfileValidation,
   authController.updateProfile
 );
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Verify email address
+ *     description: Target of the link sent by email after registration or an email change
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Missing, invalid or expired verification token
+ */
+router.get("/verify-email", generalLimiter, authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Authentication required
+ */
+router.post(
+  "/resend-verification",
+  authLimiter,
+  authenticate,
+  authController.resendVerification
+);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current access token and ends its session. If a refresh token is sent, its token family is revoked as well.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logged out successfully
  */
 router.post("/logout", generalLimiter, authenticate, authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from all devices
+ *     description: Revokes every outstanding access and refresh token and every API key of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices successfully
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not allowed with an impersonation token
+ */
+router.post(
+  "/logout-all",
+  generalLimiter,
+  authenticateSelf,
+  authController.logoutAll
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List your active sessions
+ *     description: One session per login, with the device, IP and when it was last used. The session making the request is marked `current`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *       401:
+ *         description: Authentication required
+ */
+router.get(
+  "/sessions",
+  generalLimiter,
+  authenticate,
+  authController.listSessions
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs that device out - its access and refresh tokens stop working immediately
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  "/sessions/:sessionId",
+  generalLimiter,
+  authenticate,
+  authController.revokeSession
+);
+
 /**
  * @swagger
  * /api/auth/change-password:
@@ -293,30 +539,544 @@ router.post("/logout", generalLimiter, authenticate, authController.logout);
  *                 type: string
  *               newPassword:
  *                 type: string
- *                 minLength: 6
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
  *               confirmPassword:
  *                 type: string
  *     responses:
  *       200:
  *         description: Password changed successfully
  *       400:
- *         description: Validation error or incorrect current password
+ *         description: Validation error, password policy failures or incorrect current password
  *       401:
  *         description: Authentication required
+ *       403:
+ *         description: Not allowed with an impersonation token
  */
 router.post(
   "/change-password",
   generalLimiter,
-  authenticate,
+  authenticateSelf,
   changePasswordValidation,
   passwordController.changePassword
 );
 
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     description: The rules new passwords must satisfy. Rejected passwords come back as a 400 with one entry per broken rule in `errors`, each with a `code` and `message`.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Password policy
+ */
+router.get(
+  "/password-policy",
+  generalLimiter,
+  passwordController.getPasswordPolicy
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Emails a single-use reset link if an active account uses this email. The response is the same whether or not the account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  "/forgot-password",
+  authLimiter,
+  forgotPasswordValidation,
+  passwordController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error, password policy failures or invalid/expired reset token
+ */
+router.post(
+  "/reset-password",
+  authLimiter,
+  resetPasswordValidation,
+  passwordController.resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Email a passwordless login link
+ *     description: Sends a single-use login link if an active account uses this email. The response is the same whether or not the account exists. Limited per email address as well as per IP.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Login link sent if the account exists
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many links requested for this email
+ */
+router.post(
+  "/magic-link",
+  generalLimiter,
+  magicLinkValidation,
+  magicLinkEmailLimiter.middleware(),
+  magicLinkController.request
+);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/consume:
+ *   post:
+ *     summary: Log in with a magic link
+ *     description: Exchanges the token from the emailed link for an access/refresh token pair. Each link works once. Accounts with MFA enabled get mfaRequired and an mfaToken instead, as with /api/auth/login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid, expired or already used link
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post(
+  "/magic-link/consume",
+  authLimiter,
+  consumeMagicLinkValidation,
+  magicLinkController.consume
+);
+
+/**
+ * @swagger
+ * /api/auth/invitations/preview:
+ *   get:
+ *     summary: Look up an invitation
+ *     description: Returns the email and role an invitation was sent for, so the sign-up page can show them
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: email, role and expiresAt of the invitation
+ *       400:
+ *         description: Invalid, used, revoked or expired invitation
+ */
+router.get(
+  "/invitations/preview",
+  generalLimiter,
+  invitationController.preview
+);
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: Creates the invited account with a verified email and signs it in. A preset role other than user goes through the role assignment workflow, so with REQUIRE_ROLE_APPROVAL=true it is pending until approved.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - username
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Must satisfy the password policy (GET /api/auth/password-policy)
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error, password policy failures or invalid/expired invitation
+ *       409:
+ *         description: Username already taken
+ */
+router.post(
+  "/invitations/accept",
+  authLimiter,
+  acceptInvitationValidation,
+  invitationController.accept
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Returns a new secret and otpauth URI. MFA is not active until confirmed.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI generated
+ *       400:
+ *         description: MFA is already enabled
+ *       401:
+ *         description: Authentication required
+ */
+router.post(
+  "/mfa/setup",
+  generalLimiter,
+  authenticateSelf,
+  mfaController.setup
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: Enables MFA and returns one-time recovery codes
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA enabled, recovery codes returned
+ *       400:
+ *         description: Invalid code or no setup in progress
+ */
+router.post(
+  "/mfa/confirm",
+  authLimiter,
+  authenticateSelf,
+  mfaConfirmValidation,
+  mfaController.confirm
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Disable MFA
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       400:
+ *         description: Invalid password or verification code
+ */
+router.post(
+  "/mfa/disable",
+  authLimiter,
+  authenticateSelf,
+  mfaDisableValidation,
+  mfaController.disable
+);
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned
+ *       400:
+ *         description: Invalid code or MFA not enabled
+ */
+router.post(
+  "/mfa/recovery-codes",
+  authLimiter,
+  authenticateSelf,
+  mfaConfirmValidation,
+  mfaController.regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     description: Key metadata only - the keys themselves are never shown again after creation
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *       401:
+ *         description: Authentication required
+ *   post:
+ *     summary: Create an API key
+ *     description: Returns the full key once. Send it as `X-API-Key` to routes that accept API keys.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: nightly-batch
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [compute]
+ *                 description: Limit the key to these scopes (omit for full access)
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation failed or key limit reached
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/api-keys", generalLimiter, authenticate, apiKeyController.list);
+
+router.post(
+  "/api-keys",
+  generalLimiter,
+  authenticateSelf,
+  createApiKeyValidation,
+  apiKeyController.create
+);
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: API key not found
+ */
+router.delete(
+  "/api-keys/:keyId",
+  generalLimiter,
+  authenticateSelf,
+  apiKeyController.revoke
+);
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Download your data
+ *     description: A JSON bundle of your profile, sessions, API keys, posts you authored and audit entries about you (role requests, invitations, impersonation)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data export, sent as an attachment
+ *       401:
+ *         description: Authentication required
+ */
+router.get(
+  "/me/export",
+  generalLimiter,
+  authenticateSelf,
+  privacyController.exportData
+);
+
+/**
+ * @swagger
+ * /api/auth/me/delete:
+ *   post:
+ *     summary: Delete your account
+ *     description: Deactivates the account and signs it out everywhere at once. The account is erased (anonymized by default) after ACCOUNT_DELETION_GRACE_DAYS; until then an administrator can cancel the deletion.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       202:
+ *         description: Account deactivated and scheduled for deletion
+ *       400:
+ *         description: Validation failed or wrong password
+ *       401:
+ *         description: Authentication required
+ *       409:
+ *         description: Deletion already scheduled
+ */
+router.post(
+  "/me/delete",
+  authLimiter,
+  authenticateSelf,
+  deleteAccountValidation,
+  privacyController.requestDeletion
+);
+
 /**
  * @swagger
  * /api/auth/reset-login-attempts/{userId}:
  *   post:
  *     summary: Reset login attempts for a user
+ *     description: Clears failed attempts and lifts any active lockout
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -339,7 +1099,7 @@ router.post(
 router.post(
   "/reset-login-attempts/:userId",
   generalLimiter,
-  authenticate,
+  authenticateSelf,
   ownerOrAdmin("userId"),
   passwordController.resetLoginAttempts
 );
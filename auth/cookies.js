@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const JWTService = require("./jwt");
+
+const STATE_CHANGING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Express can write cookies but does not parse them
+const parseCookies = (header = "") => {
+  const cookies = {};
+  for (const pair of header.split(";")) {
+    const index = pair.indexOf("=");
+    if (index < 0) continue;
+
+    const name = pair.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Skip values with malformed percent-encoding
+    }
+  }
+  return cookies;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Cookie session mode
+ * Browser clients can keep their tokens in httpOnly cookies instead of
+ * storage that scripts can read. Off unless AUTH_COOKIES=true, so nothing
+ * reads cookies until a deployment asks for it. A request that issues
+ * tokens (login, register, MFA login, magic link, invitation accept) opts in
+ * with `X-Auth-Mode: cookie`; the response then sets the cookies and returns a
+ * CSRF token in place of the tokens themselves. /refresh rotates the
+ * cookies when the refresh token came from one.
+ *
+ *   access_token  httpOnly, Path=/          read by authenticate
+ *   refresh_token httpOnly, Path=/api/auth  read by /refresh and /logout
+ *   csrf_token    readable, Path=/          double-submit CSRF token
+ *
+ * Cookies are sent by the browser on its own, so requests authenticated by
+ * cookie with a state-changing method must echo the csrf_token cookie in an
+ * X-CSRF-Token header. Bearer tokens and API keys are not affected.
+ */
+class CookieAuth {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.AUTH_COOKIES === "true";
+    this.names = {
+      access: "access_token",
+      refresh: "refresh_token",
+      csrf: "csrf_token",
+    };
+    this.options = {
+      sameSite:
+        options.sameSite || process.env.AUTH_COOKIE_SAMESITE || "strict",
+      secure:
+        options.secure ??
+        (process.env.AUTH_COOKIE_SECURE
+          ? process.env.AUTH_COOKIE_SECURE === "true"
+          : process.env.NODE_ENV === "production"),
+      domain: options.domain || process.env.AUTH_COOKIE_DOMAIN || undefined,
+    };
+    this.refreshPath = options.refreshPath || "/api/auth";
+  }
+
+  cookies(req) {
+    if (!req.cookies) {
+      req.cookies = parseCookies(req.headers.cookie);
+    }
+    return req.cookies;
+  }
+
+  accessToken(req) {
+    return this.enabled ? this.cookies(req)[this.names.access] || null : null;
+  }
+
+  refreshToken(req) {
+    return this.enabled ? this.cookies(req)[this.names.refresh] || null : null;
+  }
+
+  /**
+   * True if tokens for this request should go into cookies: the client
+   * asked for it, or it is already using them
+   */
+  wantsCookies(req) {
+    return (
+      this.enabled &&
+      (req.get("X-Auth-Mode") === "cookie" || req.authCookie === true)
+    );
+  }
+
+  /**
+   * The token part of a login-style response
+   * Sets the cookies and returns { expiresIn, csrfToken } in cookie mode;
+   * otherwise returns the tokens unchanged.
+   */
+  issue(req, res, tokens) {
+    if (!this.wantsCookies(req)) {
+      return tokens;
+    }
+
+    const { accessToken, refreshToken, ...rest } = tokens;
+    const csrfToken = crypto.randomBytes(32).toString("base64url");
+    const refreshMaxAge = this.maxAge(refreshToken);
+
+    res.cookie(this.names.access, accessToken, {
+      ...this.cookieOptions("/"),
+      maxAge: this.maxAge(accessToken),
+    });
+    res.cookie(this.names.refresh, refreshToken, {
+      ...this.cookieOptions(this.refreshPath),
+      maxAge: refreshMaxAge,
+    });
+    res.cookie(this.names.csrf, csrfToken, {
+      ...this.cookieOptions("/"),
+      httpOnly: false,
+      maxAge: refreshMaxAge,
+    });
+
+    return { ...rest, csrfToken };
+  }
+
+  // Only touches clients that have auth cookies
+  clear(req, res) {
+    const cookies = this.cookies(req);
+    if (!this.enabled || !Object.values(this.names).some((n) => cookies[n])) {
+      return;
+    }
+
+    res.clearCookie(this.names.access, this.cookieOptions("/"));
+    res.clearCookie(this.names.refresh, this.cookieOptions(this.refreshPath));
+    res.clearCookie(this.names.csrf, {
+      ...this.cookieOptions("/"),
+      httpOnly: false,
+    });
+  }
+
+  /**
+   * Double-submit check: safe methods pass, anything else needs an
+   * X-CSRF-Token header matching the csrf_token cookie
+   */
+  verifyCsrf(req) {
+    if (!STATE_CHANGING_METHODS.includes(req.method)) {
+      return true;
+    }
+
+    const cookie = this.cookies(req)[this.names.csrf];
+    const header = req.get("X-CSRF-Token");
+    return Boolean(cookie && header && safeEqual(cookie, header));
+  }
+
+  cookieOptions(path) {
+    return {
+      httpOnly: true,
+      sameSite: this.options.sameSite,
+      secure: this.options.secure,
+      domain: this.options.domain,
+      path,
+    };
+  }
+
+  maxAge(token) {
+    const { exp } = JWTService.decodeToken(token);
+    return Math.max(0, exp * 1000 - Date.now());
+  }
+}
+
+const cookieAuth = new CookieAuth();
+
+module.exports = { CookieAuth, cookieAuth };
@@ -0,0 +1,115 @@
+/**
+ * Email templates for the auth flows
+ * Each builder returns a { to, subject, text, html } message for the mailer
+ */
+const APP_URL =
+  process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const buildLink = (pathname, token) =>
+  `${APP_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+// Usernames, addresses and names come from users - never trust them in HTML
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const passwordResetEmail = (user, token, expiresInMinutes) => {
+  const link = buildLink("/reset-password", token);
+
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone requested a password reset for your account. ` +
+      `Use the link below to choose a new password:\n\n${link}\n\n` +
+      `The link expires in ${expiresInMinutes} minutes and can be used once. ` +
+      `If you did not request this, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Someone requested a password reset for your account. ` +
+      `Use the link below to choose a new password:</p>` +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>The link expires in ${expiresInMinutes} minutes and can be used once. ` +
+      `If you did not request this, you can ignore this email.</p>`,
+  };
+};
+
+const emailVerificationEmail = (user, token) => {
+  const link = buildLink("/api/auth/verify-email", token);
+
+  return {
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Please confirm that ${user.email} is your email address ` +
+      `by opening the link below:\n\n${link}\n\n` +
+      `If you did not create an account, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Please confirm that ${escapeHtml(user.email)} ` +
+      `is your email address by opening the link below:</p>` +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>If you did not create an account, you can ignore this email.</p>`,
+  };
+};
+
+const magicLinkEmail = (user, token, expiresInMinutes) => {
+  const link = buildLink("/magic-link", token);
+
+  return {
+    to: user.email,
+    subject: "Your sign-in link",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Use the link below to sign in:\n\n${link}\n\n` +
+      `The link expires in ${expiresInMinutes} minutes and can be used once. ` +
+      `If you did not ask to sign in, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Use the link below to sign in:</p>` +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>The link expires in ${expiresInMinutes} minutes and can be used once. ` +
+      `If you did not ask to sign in, you can ignore this email.</p>`,
+  };
+};
+
+const invitationEmail = (invitation, token, inviterName) => {
+  const link = buildLink("/accept-invitation", token);
+  const expiresOn = new Date(invitation.expiresAt).toUTCString();
+
+  return {
+    to: invitation.email,
+    subject: "You have been invited to create an account",
+    text:
+      `Hi,\n\n` +
+      `${inviterName} has invited you to create an account ` +
+      `with the ${invitation.role} role. ` +
+      `Use the link below to choose a username and password:\n\n${link}\n\n` +
+      `The invitation expires on ${expiresOn} and can be used once. ` +
+      `If you were not expecting it, you can ignore this email.`,
+    html:
+      `<p>Hi,</p>` +
+      `<p>${escapeHtml(inviterName)} has invited you to create an account ` +
+      `with the ${escapeHtml(invitation.role)} role. ` +
+      `Use the link below to choose a username and password:</p>` +
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>The invitation expires on ${expiresOn} and can be used once. ` +
+      `If you were not expecting it, you can ignore this email.</p>`,
+  };
+};
+
+module.exports = {
+  buildLink,
+  passwordResetEmail,
+  emailVerificationEmail,
+  magicLinkEmail,
+  invitationEmail,
+};
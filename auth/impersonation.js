@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const JWTService = require("./jwt");
+const User = require("./User");
+const authEvents = require("./authEvents");
+const { roleRegistry } = require("./rbac");
+const { sessionService } = require("./sessions");
+
+class ImpersonationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImpersonationError";
+    this.status = status;
+  }
+}
+
+/**
+ * Admin impersonation
+ * Support staff can get a short-lived access token for another user to see
+ * exactly what that user sees. The token carries an `act` claim naming the
+ * administrator, runs in its own session (listed in the user's sessions,
+ * so it can be revoked like any other) and cannot be refreshed.
+ *
+ * Routes that must never run under impersonation - password changes, MFA
+ * management, API keys and the admin API - use authenticateSelf, which
+ * refuses impersonation tokens.
+ *
+ * Every impersonated request is appended to the audit log
+ * (IMPERSONATION_AUDIT_LOG, one JSON object per line) and emitted as an
+ * "impersonation.request" auth event.
+ */
+class ImpersonationService {
+  constructor(options = {}) {
+    this.logPath = path.resolve(
+      options.logPath ||
+        process.env.IMPERSONATION_AUDIT_LOG ||
+        "./data/impersonation-audit.log"
+    );
+  }
+
+  async start(actorId, targetUserId, req, reason = "") {
+    if (actorId === targetUserId) {
+      throw new ImpersonationError("You cannot impersonate yourself", 403);
+    }
+
+    const [actor, user] = await Promise.all([
+      User.findById(actorId),
+      User.findById(targetUserId),
+    ]);
+    if (!user) {
+      throw new ImpersonationError("User not found", 404);
+    }
+    if (!user.isActive) {
+      throw new ImpersonationError("Cannot impersonate an inactive user", 409);
+    }
+
+    // Otherwise one administrator could act with another one's identity
+    if (roleRegistry.hasPermission(user.role, "users:impersonate")) {
+      throw new ImpersonationError(
+        "Users who can impersonate others cannot be impersonated",
+        403
+      );
+    }
+
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      ...sessionService.clientInfo(req),
+      amr: ["impersonation"],
+      tv: user.tokenVersion || 0,
+      impersonatedBy: { id: actor.id, username: actor.username },
+      createdAt: now,
+      lastSeenAt: now,
+    };
+
+    const accessToken = JWTService.generateImpersonationToken(
+      user,
+      actor,
+      session.id
+    );
+    const { exp } = JWTService.decodeToken(accessToken);
+    session.expiresAt = new Date(exp * 1000);
+
+    await sessionService.save(session);
+    await sessionService.addToIndex(user.id, session.id);
+
+    const event = {
+      sessionId: session.id,
+      actorId: actor.id,
+      actorUsername: actor.username,
+      userId: user.id,
+      username: user.username,
+      reason,
+      expiresAt: session.expiresAt,
+    };
+    authEvents.emit("impersonation.started", event);
+    await this.record({ event: "impersonation.started", ...event });
+
+    return {
+      accessToken,
+      sessionId: session.id,
+      expiresAt: session.expiresAt,
+      user: { id: user.id, username: user.username, role: user.role },
+    };
+  }
+
+  /**
+   * Log an impersonated request once its response has been sent
+   * `decoded` is the verified token, so `act` names the administrator.
+   */
+  auditRequest(req, res, decoded) {
+    const startedAt = new Date();
+
+    res.on("finish", () => {
+      const entry = {
+        sessionId: decoded.sid,
+        actorId: decoded.act.sub,
+        actorUsername: decoded.act.username,
+        userId: decoded.userId,
+        username: decoded.username,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        ip: req.ip,
+        at: startedAt,
+      };
+
+      authEvents.emit("impersonation.request", entry);
+      this.record({ event: "impersonation.request", ...entry }).catch(
+        (error) => {
+          console.error(
+            `Impersonation audit log write failed: ${error.message}`
+          );
+        }
+      );
+    });
+  }
+
+  async record(entry) {
+    await fs.promises.mkdir(path.dirname(this.logPath), { recursive: true });
+    await fs.promises.appendFile(this.logPath, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Audit log entries where the user was the administrator or the target
+   */
+  async entriesFor(userId) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.logPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return contents
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((entry) => entry.userId === userId || entry.actorId === userId);
+  }
+}
+
+const impersonationService = new ImpersonationService();
+
+module.exports = {
+  ImpersonationService,
+  ImpersonationError,
+  impersonationService,
+};
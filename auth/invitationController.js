@@ -0,0 +1,79 @@
+const { validationResult } = require("express-validator");
+const { invitationService, sendInvitationError } = require("./invitations");
+const { sessionService } = require("./sessions");
+const { cookieAuth } = require("./cookies");
+const { passwordPolicy } = require("./passwordPolicy");
+
+class InvitationController {
+  // Lets the accept page show who the invitation is for before signing up
+  async preview(req, res) {
+    try {
+      const invitation = await invitationService.findByToken(req.query.token);
+
+      res.json({
+        success: true,
+        data: {
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+        },
+      });
+    } catch (error) {
+      sendInvitationError(res, error);
+    }
+  }
+
+  async accept(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, username, password } = req.body;
+
+      const invitation = await invitationService.findByToken(token);
+
+      // A rejected password leaves the invitation usable for another try
+      const failures = await passwordPolicy.validate(password, {
+        username,
+        email: invitation.email,
+      });
+      if (failures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Password does not meet the password policy",
+          errors: failures,
+        });
+      }
+
+      const { user, roleRequest } = await invitationService.accept(invitation, {
+        username,
+        password,
+      });
+
+      const tokens = await sessionService.start(user, req);
+
+      res.status(201).json({
+        success: true,
+        message:
+          roleRequest && roleRequest.status === "pending"
+            ? `Account created; the ${invitation.role} role is waiting for approval`
+            : "Account created successfully",
+        data: {
+          user,
+          roleRequest,
+          ...cookieAuth.issue(req, res, tokens),
+        },
+      });
+    } catch (error) {
+      sendInvitationError(res, error);
+    }
+  }
+}
+
+module.exports = new InvitationController();
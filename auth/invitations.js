@@ -0,0 +1,319 @@
+const crypto = require("crypto");
+const User = require("./User");
+const authEvents = require("./authEvents");
+const { roleRegistry } = require("./rbac");
+const { roleAssignments } = require("./roleAssignments");
+const { mailer } = require("../mail");
+const { invitationEmail } = require("./emails");
+
+class InvitationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "InvitationError";
+    this.status = status;
+  }
+}
+
+// Shared by the invitation controller and the admin routes
+const sendInvitationError = (res, error) => {
+  if (error instanceof InvitationError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
+
+const hashInvitationToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Account invitations
+ * An administrator invites an email address with a preset role. The invitee
+ * gets a single-use link and accepts it by choosing a username and password,
+ * which creates an account with a verified email. Only a SHA-256 hash of the
+ * token is stored; resending issues a new token and a new expiry, so older
+ * links stop working.
+ *
+ * The account is created as a plain user and the preset role is then
+ * requested on the inviter's behalf through the role assignment workflow -
+ * with REQUIRE_ROLE_APPROVAL=true it waits for a second administrator like
+ * any other role change.
+ *
+ * Invitation: { id, email, role, status, invitedBy, createdAt, expiresAt,
+ *               sendCount, lastSentAt, acceptedAt, acceptedUserId,
+ *               roleRequestId, revokedAt, revokedBy }
+ * status: pending | accepted | revoked (expired is derived from expiresAt)
+ */
+class InvitationService {
+  constructor(options = {}) {
+    this.expiresInDays =
+      options.expiresInDays ||
+      parseInt(process.env.INVITATION_EXPIRES_DAYS) ||
+      7;
+  }
+
+  async create({ email, role = "user", invitedBy, expiresInDays }) {
+    if (!roleRegistry.hasRole(role)) {
+      throw new InvitationError(`Unknown role: ${role}`);
+    }
+
+    if (await User.findByEmail(email)) {
+      throw new InvitationError(
+        "An account with this email already exists",
+        409
+      );
+    }
+
+    const pending = await User.listInvitations({ email, status: "pending" });
+    if (pending.some((invitation) => !this.isExpired(invitation))) {
+      throw new InvitationError(
+        "This email already has a pending invitation",
+        409
+      );
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = new Date();
+    const invitation = await User.createInvitation({
+      id: crypto.randomUUID(),
+      email,
+      role,
+      tokenHash: hashInvitationToken(token),
+      status: "pending",
+      invitedBy,
+      createdAt: now,
+      expiresAt: this.expiryFrom(now, expiresInDays),
+      sendCount: 0,
+      lastSentAt: null,
+      acceptedAt: null,
+      acceptedUserId: null,
+      roleRequestId: null,
+      revokedAt: null,
+      revokedBy: null,
+    });
+
+    authEvents.emit("invitation.created", {
+      invitationId: invitation.id,
+      email,
+      role,
+      invitedBy,
+      expiresAt: invitation.expiresAt,
+    });
+
+    return this.send(invitation, token);
+  }
+
+  /**
+   * Send the invitation again with a fresh token and expiry
+   */
+  async resend(invitationId, actorId, expiresInDays) {
+    const invitation = await this.getOpenInvitation(invitationId);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const updated = await User.updateInvitation(invitation.id, {
+      tokenHash: hashInvitationToken(token),
+      expiresAt: this.expiryFrom(new Date(), expiresInDays),
+    });
+
+    authEvents.emit("invitation.resent", {
+      invitationId: invitation.id,
+      email: invitation.email,
+      resentBy: actorId,
+      expiresAt: updated.expiresAt,
+    });
+
+    return this.send(updated, token);
+  }
+
+  async revoke(invitationId, actorId) {
+    const invitation = await this.getOpenInvitation(invitationId);
+
+    const updated = await User.updateInvitation(invitation.id, {
+      status: "revoked",
+      tokenHash: null,
+      revokedAt: new Date(),
+      revokedBy: actorId,
+    });
+
+    authEvents.emit("invitation.revoked", {
+      invitationId: invitation.id,
+      email: invitation.email,
+      revokedBy: actorId,
+    });
+
+    return this.describe(updated);
+  }
+
+  /**
+   * The pending invitation a token belongs to
+   */
+  async findByToken(token) {
+    const invitation =
+      typeof token === "string" && token
+        ? await User.findInvitationByTokenHash(hashInvitationToken(token))
+        : null;
+
+    if (!invitation || this.statusOf(invitation) !== "pending") {
+      throw new InvitationError("Invalid or expired invitation");
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Create the invitee's account
+   * Returns the new (sanitized) user and the role request for the preset
+   * role, if there is one.
+   */
+  async accept(invitation, { username, password }) {
+    if (await User.findByUsername(username)) {
+      throw new InvitationError("Username is already taken", 409);
+    }
+
+    // The role may have been deleted since the invitation was sent
+    if (!roleRegistry.hasRole(invitation.role)) {
+      throw new InvitationError(`Unknown role: ${invitation.role}`, 409);
+    }
+
+    // Single-use: retire the token before creating the account, and put it
+    // back if the account cannot be created. The claim only succeeds if the
+    // invitation is still pending, so of two concurrent accepts one loses.
+    const claimed = await User.claimInvitation(
+      invitation.id,
+      invitation.tokenHash,
+      { status: "accepted", tokenHash: null, acceptedAt: new Date() }
+    );
+    if (!claimed) {
+      throw new InvitationError("Invalid or expired invitation");
+    }
+
+    let user;
+    try {
+      user = await User.createUser({
+        username,
+        email: invitation.email,
+        password,
+        role: "user",
+        emailVerified: true,
+      });
+    } catch (error) {
+      await User.updateInvitation(invitation.id, {
+        status: "pending",
+        tokenHash: invitation.tokenHash,
+        acceptedAt: null,
+      });
+      throw new InvitationError(error.message, 409);
+    }
+
+    let roleRequest = null;
+    if (invitation.role !== "user") {
+      roleRequest = await roleAssignments.requestRoleChange({
+        userId: user.id,
+        role: invitation.role,
+        requestedBy: invitation.invitedBy,
+        reason: `Invitation ${invitation.id}`,
+      });
+    }
+
+    await User.updateInvitation(invitation.id, {
+      acceptedUserId: user.id,
+      roleRequestId: roleRequest ? roleRequest.id : null,
+    });
+
+    authEvents.emit("invitation.accepted", {
+      invitationId: invitation.id,
+      email: invitation.email,
+      userId: user.id,
+      username: user.username,
+      role: invitation.role,
+      roleRequestStatus: roleRequest ? roleRequest.status : null,
+    });
+
+    // Applying the role bumps the token version, so read the user again
+    const account = await User.findById(user.id);
+    return { user: User.sanitizeUser(account), roleRequest };
+  }
+
+  async get(invitationId) {
+    const invitation = await User.findInvitationById(invitationId);
+    return invitation ? this.describe(invitation) : null;
+  }
+
+  async list({ status, email } = {}) {
+    // expired is not stored, so filter on the derived status
+    const invitations = await User.listInvitations({ email });
+    return invitations
+      .map((invitation) => this.describe(invitation))
+      .filter((invitation) => !status || invitation.status === status);
+  }
+
+  async getOpenInvitation(invitationId) {
+    const invitation = await User.findInvitationById(invitationId);
+    if (!invitation) {
+      throw new InvitationError("Invitation not found", 404);
+    }
+
+    // Expired invitations can still be resent or revoked
+    if (invitation.status !== "pending") {
+      throw new InvitationError(
+        `Invitation is already ${invitation.status}`,
+        409
+      );
+    }
+
+    return invitation;
+  }
+
+  async send(invitation, token) {
+    const inviter = await User.findById(invitation.invitedBy);
+    await mailer.send(
+      invitationEmail(
+        invitation,
+        token,
+        inviter ? inviter.username : "An administrator"
+      )
+    );
+
+    const updated = await User.updateInvitation(invitation.id, {
+      sendCount: (invitation.sendCount || 0) + 1,
+      lastSentAt: new Date(),
+    });
+    return this.describe(updated);
+  }
+
+  expiryFrom(date, expiresInDays) {
+    const days = expiresInDays || this.expiresInDays;
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  isExpired(invitation) {
+    return new Date(invitation.expiresAt).getTime() <= Date.now();
+  }
+
+  statusOf(invitation) {
+    return invitation.status === "pending" && this.isExpired(invitation)
+      ? "expired"
+      : invitation.status;
+  }
+
+  // Never hand out the token hash
+  describe(invitation) {
+    const { tokenHash, ...rest } = invitation;
+    return { ...rest, status: this.statusOf(invitation) };
+  }
+}
+
+const invitationService = new InvitationService();
+
+module.exports = {
+  InvitationService,
+  InvitationError,
+  sendInvitationError,
+  invitationService,
+};
@@ -1,33 +1,76 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const { tokenStore } = require("./TokenStore");
+const { keyRing } = require("./keyRing");
 require("dotenv").config();
 
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-super-secret-jwt-key-change-in-production";
+const JWT_ISSUER = "nodejs-interview-prep";
+const JWT_AUDIENCE = "api-users";
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "24h";
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || "7d";
+const EMAIL_VERIFICATION_EXPIRES_IN =
+  process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h";
+const MFA_PENDING_TOKEN_EXPIRES_IN =
+  process.env.MFA_PENDING_TOKEN_EXPIRES_IN || "5m";
+const IMPERSONATION_TOKEN_EXPIRES_IN =
+  process.env.IMPERSONATION_TOKEN_EXPIRES_IN || "15m";
+const CLIENT_TOKEN_EXPIRES_IN = process.env.CLIENT_TOKEN_EXPIRES_IN || "1h";
+const MAGIC_LINK_EXPIRES_IN = process.env.MAGIC_LINK_EXPIRES_IN || "10m";
+
+// Refresh token lifetime in seconds - let jsonwebtoken parse "7d" style values
+const REFRESH_TOKEN_TTL = (() => {
+  const { iat, exp } = jwt.decode(
+    jwt.sign({}, "lifetime-only", { expiresIn: REFRESH_TOKEN_EXPIRES_IN })
+  );
+  return exp - iat;
+})();
 
 class JWTService {
+  /**
+   * Sign with the key ring's current key (HS256 secret or RS256/ES256
+   * private key); asymmetric tokens carry the key id in the `kid` header
+   */
+  signToken(payload, options) {
+    const { kid, alg, key } = keyRing.getSigningKey();
+    return jwt.sign(payload, key, {
+      ...options,
+      algorithm: alg,
+      ...(kid && { keyid: kid }),
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE,
+    });
+  }
+
   generateAccessToken(payload) {
-    return jwt.sign(payload, JWT_SECRET, {
+    return this.signToken(payload, {
       expiresIn: JWT_EXPIRES_IN,
-      issuer: "nodejs-interview-prep",
-      audience: "api-users",
+      jwtid: crypto.randomUUID(),
     });
   }
 
-  generateRefreshToken(payload) {
-    return jwt.sign(payload, JWT_SECRET, {
-      expiresIn: REFRESH_TOKEN_EXPIRES_IN,
-      issuer: "nodejs-interview-prep",
-      audience: "api-users",
-    });
+  generateRefreshToken(payload, type = "refresh") {
+    return this.signToken(
+      { ...payload, type },
+      {
+        expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+      }
+    );
   }
 
   verifyToken(token) {
     try {
-      return jwt.verify(token, JWT_SECRET, {
-        issuer: "nodejs-interview-prep",
-        audience: "api-users",
+      const { header } = jwt.decode(token, { complete: true }) || {};
+      const verificationKey = keyRing.getVerificationKey(header && header.kid);
+      if (!verificationKey) {
+        throw new Error("unknown signing key");
+      }
+
+      // Pin the algorithm to the key so a token cannot pick its own
+      return jwt.verify(token, verificationKey.key, {
+        algorithms: [verificationKey.alg],
+        issuer: JWT_ISSUER,
+        audience: JWT_AUDIENCE,
       });
     } catch (error) {
       throw new Error(`Invalid token: ${error.message}`);
@@ -38,20 +81,343 @@ class JWTService {
     return jwt.decode(token);
   }
 
-  generateTokenPair(user) {
+  /**
+   * Verify an access token and make sure it has not been revoked
+   */
+  async verifyAccessToken(token) {
+    const decoded = this.verifyToken(token);
+
+    // Only access tokens come without a type - refresh and single-purpose
+    // tokens are only good at their own endpoints
+    if (decoded.type) {
+      throw new Error(
+        `Invalid token: ${decoded.type} token used as access token`
+      );
+    }
+
+    if (await this.isAccessTokenRevoked(decoded.jti)) {
+      throw new Error("Invalid token: token has been revoked");
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Signed token for email verification links
+   * Bound to the address it was sent to, so changing the email invalidates it
+   */
+  generateEmailVerificationToken(user) {
+    return this.signToken(
+      { userId: user.id, email: user.email, type: "email-verification" },
+      { expiresIn: EMAIL_VERIFICATION_EXPIRES_IN }
+    );
+  }
+
+  verifyEmailVerificationToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (decoded.type !== "email-verification") {
+      throw new Error("Invalid token: not an email verification token");
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Short-lived token proving the first step of a two-step login
+   * amr records how that step was done ("pwd" or "email")
+   */
+  generateMfaPendingToken(user, amr = ["pwd"]) {
+    return this.signToken(
+      { userId: user.id, amr, type: "mfa-pending" },
+      {
+        expiresIn: MFA_PENDING_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+  }
+
+  verifyMfaPendingToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (decoded.type !== "mfa-pending") {
+      throw new Error("Invalid token: not an MFA pending token");
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Mark an MFA pending token as used so it cannot be exchanged twice
+   */
+  async consumeMfaPendingToken(decoded) {
+    const claimed = await tokenStore.setIfAbsent(
+      `mfa-pending:${decoded.jti}`,
+      true,
+      this.secondsUntil(decoded.exp)
+    );
+    if (!claimed) {
+      throw new Error("Invalid token: MFA pending token already used");
+    }
+  }
+
+  /**
+   * Signed token for passwordless login links
+   * Bound to the address it was sent to and the user's token version, so
+   * changing the email or logging out everywhere invalidates it
+   */
+  generateMagicLinkToken(user) {
+    return this.signToken(
+      {
+        userId: user.id,
+        email: user.email,
+        tv: user.tokenVersion || 0,
+        type: "magic-link",
+      },
+      {
+        expiresIn: MAGIC_LINK_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+  }
+
+  verifyMagicLinkToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (decoded.type !== "magic-link") {
+      throw new Error("Invalid token: not a magic link token");
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Mark a magic link token as used so a link cannot be replayed
+   */
+  async consumeMagicLinkToken(decoded) {
+    const claimed = await tokenStore.setIfAbsent(
+      `magic-link:${decoded.jti}`,
+      true,
+      this.secondsUntil(decoded.exp)
+    );
+    if (!claimed) {
+      throw new Error("Invalid token: magic link already used");
+    }
+  }
+
+  /**
+   * Short-lived access token for an administrator acting as another user
+   * The token is the target user's, plus an `act` (actor) claim naming the
+   * administrator. There is no refresh token - when it expires the
+   * administrator starts a new impersonation.
+   */
+  generateImpersonationToken(user, actor, sessionId) {
+    return this.signToken(
+      {
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        tv: user.tokenVersion || 0,
+        amr: ["impersonation"],
+        sid: sessionId,
+        act: { sub: actor.id, username: actor.username },
+      },
+      {
+        expiresIn: IMPERSONATION_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+  }
+
+  /**
+   * Put an access token on the denylist until it would have expired anyway
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded.jti) return;
+    await tokenStore.set(
+      `denylist:${decoded.jti}`,
+      true,
+      this.secondsUntil(decoded.exp)
+    );
+  }
+
+  async isAccessTokenRevoked(jti) {
+    if (!jti) return false;
+    return Boolean(await tokenStore.get(`denylist:${jti}`));
+  }
+
+  /**
+   * Issue an access/refresh token pair
+   * Every refresh token belongs to a family; rotating keeps the family so
+   * that reuse of an old token can revoke every token descended from it.
+   * The family is the login session, so access tokens carry it as `sid`.
+   * The amr claim records how the user authenticated ("pwd", "email", "mfa").
+   */
+  async generateTokenPair(user, options = {}) {
     const payload = {
       userId: user.id,
       username: user.username,
       email: user.email,
       role: user.role,
+      // Token version - bumping it on the user invalidates every older token
+      tv: user.tokenVersion || 0,
+      amr: options.amr || ["pwd"],
     };
 
+    const family = options.family || crypto.randomUUID();
+    payload.sid = family;
+    const refreshToken = this.generateRefreshToken({
+      userId: user.id,
+      family,
+      tv: payload.tv,
+      amr: payload.amr,
+    });
+    const { jti, exp } = this.decodeToken(refreshToken);
+
+    await tokenStore.set(
+      `refresh:${jti}`,
+      { userId: user.id, family, exp },
+      this.secondsUntil(exp)
+    );
+
     return {
       accessToken: this.generateAccessToken(payload),
-      refreshToken: this.generateRefreshToken({ userId: user.id }),
+      refreshToken,
       expiresIn: JWT_EXPIRES_IN,
     };
   }
+
+  /**
+   * Issue an access/refresh token pair to an OAuth2 client
+   * Client tokens are typed ("client" / "client-refresh") so they are never
+   * mistaken for a user's tokens. The refresh token rotates and detects reuse
+   * exactly like a user's; access tokens carry their family so revoking the
+   * refresh token revokes them too.
+   */
+  async generateClientTokenPair(client, scopes, options = {}) {
+    const family = options.family || crypto.randomUUID();
+    const scope = scopes.join(" ");
+
+    const refreshToken = this.generateRefreshToken(
+      { clientId: client.clientId, family, scope },
+      "client-refresh"
+    );
+    const { jti, exp } = this.decodeToken(refreshToken);
+
+    await tokenStore.set(
+      `refresh:${jti}`,
+      { clientId: client.clientId, family, exp },
+      this.secondsUntil(exp)
+    );
+
+    const accessToken = this.signToken(
+      { client_id: client.clientId, scope, family, type: "client" },
+      {
+        subject: client.clientId,
+        expiresIn: CLIENT_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn:
+        this.decodeToken(accessToken).exp - Math.floor(Date.now() / 1000),
+      scope,
+    };
+  }
+
+  /**
+   * Verify a client access token and make sure it has not been revoked
+   */
+  async verifyClientAccessToken(token) {
+    const decoded = this.verifyToken(token);
+
+    if (decoded.type !== "client") {
+      throw new Error("Invalid token: not a client access token");
+    }
+
+    if (
+      (await this.isAccessTokenRevoked(decoded.jti)) ||
+      (await this.isFamilyRevoked(decoded.family))
+    ) {
+      throw new Error("Invalid token: token has been revoked");
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Verify a refresh token and mark it as used
+   * Returns the decoded token; the caller issues the next pair with the
+   * same family. Presenting an already-rotated token revokes the family.
+   * `type` is "refresh" for users and "client-refresh" for OAuth2 clients.
+   */
+  async rotateRefreshToken(refreshToken, type = "refresh") {
+    const decoded = this.verifyToken(refreshToken);
+
+    if (decoded.type !== type) {
+      throw new Error("Invalid token: not a refresh token");
+    }
+
+    if (await this.isFamilyRevoked(decoded.family)) {
+      throw new Error("Invalid token: refresh token family revoked");
+    }
+
+    const key = `refresh:${decoded.jti}`;
+    const record = await tokenStore.get(key);
+    if (!record) {
+      throw new Error("Invalid token: unknown refresh token");
+    }
+
+    // Claiming the token is a single atomic step, so of two concurrent
+    // refreshes with the same token only one can win
+    const claimed = await tokenStore.setIfAbsent(
+      `${key}:rotated`,
+      true,
+      this.secondsUntil(record.exp)
+    );
+    if (!claimed) {
+      // Someone is replaying a token that was already exchanged -
+      // assume it leaked and kill every token in the family
+      await this.revokeFamily(decoded.family);
+      throw new Error("Invalid token: refresh token reuse detected");
+    }
+
+    return decoded;
+  }
+
+  /**
+   * True if a verified refresh token could still be exchanged
+   */
+  async isRefreshTokenActive(decoded) {
+    if (await this.isFamilyRevoked(decoded.family)) return false;
+    const key = `refresh:${decoded.jti}`;
+    return (
+      Boolean(await tokenStore.get(key)) &&
+      !(await tokenStore.get(`${key}:rotated`))
+    );
+  }
+
+  async revokeFamily(family) {
+    // No token in the family can outlive a full refresh lifetime from now
+    await tokenStore.set(`family:${family}:revoked`, true, REFRESH_TOKEN_TTL);
+  }
+
+  async isFamilyRevoked(family) {
+    return Boolean(await tokenStore.get(`family:${family}:revoked`));
+  }
+
+  // Refresh token lifetime in seconds
+  get refreshTokenTtl() {
+    return REFRESH_TOKEN_TTL;
+  }
+
+  secondsUntil(exp) {
+    return Math.max(1, exp - Math.floor(Date.now() / 1000));
+  }
 }
 
 module.exports = new JWTService();
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || "your-super-secret-jwt-key-change-in-production";
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || "HS256";
+const ASYMMETRIC_ALGORITHMS = ["RS256", "ES256"];
+
+/**
+ * Signing key ring
+ * HS256 signs with the shared JWT_SECRET. RS256/ES256 sign with the newest
+ * private key in a key file (JWT_KEYS_PATH) and put its id in the `kid`
+ * header; older keys stay in the file so tokens they signed keep verifying
+ * until they are rotated out. Only public keys ever leave this module.
+ *
+ * Key file: { keys: [{ kid, alg, createdAt, privateKey, publicKey }] }
+ * newest first. The file is re-read when another process rotates it.
+ */
+class KeyRing {
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || JWT_ALGORITHM;
+    this.filePath = path.resolve(
+      options.filePath || process.env.JWT_KEYS_PATH || "./data/jwt-keys.json"
+    );
+    this.maxKeys = options.maxKeys || Number(process.env.JWT_MAX_KEYS) || 3;
+    this.keys = [];
+    this.lastModified = 0;
+
+    if (
+      this.algorithm !== "HS256" &&
+      !ASYMMETRIC_ALGORITHMS.includes(this.algorithm)
+    ) {
+      throw new Error(`Unsupported JWT algorithm: ${this.algorithm}`);
+    }
+  }
+
+  isAsymmetric() {
+    return this.algorithm !== "HS256";
+  }
+
+  /**
+   * Key used for new tokens: { kid, alg, key }
+   */
+  getSigningKey() {
+    if (!this.isAsymmetric()) {
+      return { kid: null, alg: "HS256", key: JWT_SECRET };
+    }
+
+    this.refresh();
+    const [current] = this.keys;
+    return { kid: current.kid, alg: current.alg, key: current.privateKey };
+  }
+
+  /**
+   * Key for verifying a token signed with `kid`, or null if we do not know it
+   * The algorithm comes from our own key entry, never from the token header.
+   */
+  getVerificationKey(kid) {
+    if (!this.isAsymmetric()) {
+      return { kid: null, alg: "HS256", key: JWT_SECRET };
+    }
+
+    this.refresh();
+    const entry = this.keys.find((k) => k.kid === kid);
+    return entry
+      ? { kid: entry.kid, alg: entry.alg, key: entry.publicKey }
+      : null;
+  }
+
+  /**
+   * Public keys in JWK format for /.well-known/jwks.json
+   */
+  getJwks() {
+    if (!this.isAsymmetric()) {
+      return { keys: [] };
+    }
+
+    this.refresh();
+    return {
+      keys: this.keys.map(({ kid, alg, publicKey }) => ({
+        ...crypto.createPublicKey(publicKey).export({ format: "jwk" }),
+        kid,
+        alg,
+        use: "sig",
+      })),
+    };
+  }
+
+  /**
+   * Add a new signing key; previous keys stay valid for verification
+   * Only the newest `maxKeys` keys are kept, so rotate less often than
+   * maxKeys x the refresh token lifetime or older sessions are cut off.
+   */
+  rotate(algorithm = this.algorithm) {
+    if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Cannot rotate keys for algorithm: ${algorithm}`);
+    }
+
+    this.refresh();
+    const key = this.generateKey(algorithm);
+    this.keys = [key, ...this.keys].slice(0, this.maxKeys);
+    this.save();
+    return key;
+  }
+
+  generateKey(algorithm) {
+    const { privateKey, publicKey } =
+      algorithm === "RS256"
+        ? crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+        : crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+    // Thumbprint-style id derived from the public key
+    const kid = crypto
+      .createHash("sha256")
+      .update(publicKey.export({ type: "spki", format: "der" }))
+      .digest("base64url")
+      .slice(0, 16);
+
+    return {
+      kid,
+      alg: algorithm,
+      createdAt: new Date().toISOString(),
+      privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+      publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    };
+  }
+
+  // Load the key file, creating it with a first key if it does not exist
+  refresh() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.createKeyFile();
+      stat = fs.statSync(this.filePath);
+    }
+
+    if (stat.mtimeMs !== this.lastModified) {
+      const document = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (!document.keys || document.keys.length === 0) {
+        throw new Error(`No signing keys in ${this.filePath}`);
+      }
+      this.keys = document.keys;
+      this.lastModified = stat.mtimeMs;
+    }
+  }
+
+  createKeyFile() {
+    const document = { keys: [this.generateKey(this.algorithm)] };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      // "wx" - if another worker created the file first, use theirs
+      fs.writeFileSync(this.filePath, JSON.stringify(document, null, 2), {
+        flag: "wx",
+        mode: 0o600,
+      });
+      console.log(`Created JWT signing key ${document.keys[0].kid}`);
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+  }
+
+  save() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ keys: this.keys }, null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tempPath, this.filePath);
+    this.lastModified = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+const keyRing = new KeyRing();
+
+module.exports = { KeyRing, keyRing };
@@ -0,0 +1,156 @@
+const User = require("./User");
+const authEvents = require("./authEvents");
+
+/**
+ * Account lockout policy
+ * - Failed logins are counted in a sliding window
+ * - Reaching the threshold locks the account for a while
+ * - Each further lockout doubles the duration, up to a cap
+ * - Locks expire on their own; a successful login resets everything
+ */
+class LockoutPolicy {
+  constructor(options = {}) {
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+    this.failureWindowMs =
+      options.failureWindowMs ||
+      (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+    this.baseLockoutMs =
+      options.baseLockoutMs ||
+      (parseInt(process.env.LOCKOUT_BASE_MINUTES) || 5) * 60 * 1000;
+    this.maxLockoutMs =
+      options.maxLockoutMs ||
+      (parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60) * 60 * 1000;
+    this.multiplier = options.multiplier || 2;
+  }
+
+  getLockoutDuration(lockoutCount) {
+    return Math.min(
+      this.baseLockoutMs * this.multiplier ** lockoutCount,
+      this.maxLockoutMs
+    );
+  }
+
+  /**
+   * Current lock state - unlocks the account if its lock has run out
+   * Returns { locked, retryAfter } with retryAfter in seconds
+   */
+  async check(user, now = Date.now()) {
+    if (!user.lockedUntil) {
+      return { locked: false, retryAfter: 0 };
+    }
+
+    const lockedUntil = new Date(user.lockedUntil).getTime();
+    if (lockedUntil > now) {
+      return {
+        locked: true,
+        retryAfter: Math.ceil((lockedUntil - now) / 1000),
+      };
+    }
+
+    await this.unlock(user, "expired");
+    return { locked: false, retryAfter: 0 };
+  }
+
+  /**
+   * Count a failed login, locking the account once the threshold is reached
+   * Worked out from the stored record in one step, so parallel failures all
+   * count instead of overwriting each other.
+   */
+  async recordFailure(user, now = Date.now()) {
+    let status = { locked: false, retryAfter: 0 };
+    let lock = null;
+
+    await User.updateUserWith(user.id, (current) => {
+      // Another request locked the account while this one was hashing
+      const lockedUntil = new Date(current.lockedUntil || 0).getTime();
+      if (lockedUntil > now) {
+        status = {
+          locked: true,
+          retryAfter: Math.ceil((lockedUntil - now) / 1000),
+        };
+        return null;
+      }
+
+      // Only failures inside the window count towards the threshold
+      const failures = (current.failedLoginAttempts || [])
+        .filter((timestamp) => now - timestamp < this.failureWindowMs)
+        .concat(now);
+
+      if (failures.length < this.maxAttempts) {
+        return {
+          failedLoginAttempts: failures,
+          loginAttempts: failures.length,
+        };
+      }
+
+      const lockoutCount = (current.lockoutCount || 0) + 1;
+      const duration = this.getLockoutDuration(lockoutCount - 1);
+      lock = {
+        attempts: failures.length,
+        lockedUntil: new Date(now + duration),
+        lockoutCount,
+      };
+      status = { locked: true, retryAfter: Math.ceil(duration / 1000) };
+
+      return {
+        failedLoginAttempts: [],
+        loginAttempts: failures.length,
+        lockedUntil: lock.lockedUntil,
+        lockoutCount,
+      };
+    });
+
+    if (lock) {
+      authEvents.emit("account.locked", {
+        userId: user.id,
+        username: user.username,
+        ...lock,
+      });
+    }
+
+    return status;
+  }
+
+  async recordSuccess(user) {
+    user = (await User.findById(user.id)) || user;
+    const wasLocked = Boolean(user.lockedUntil);
+    await User.resetLoginAttempts(user.id);
+
+    if (wasLocked) {
+      authEvents.emit("account.unlocked", {
+        userId: user.id,
+        username: user.username,
+        reason: "login",
+      });
+    }
+  }
+
+  /**
+   * Clear the lock and failure history, e.g. on expiry or by an admin
+   */
+  async unlock(user, reason = "manual") {
+    user = (await User.findById(user.id)) || user;
+    const wasLocked = Boolean(user.lockedUntil);
+
+    await User.updateUser(user.id, {
+      failedLoginAttempts: [],
+      loginAttempts: 0,
+      lockedUntil: null,
+      // An expired lock keeps the escalation; an explicit unlock forgives it
+      ...(reason !== "expired" && { lockoutCount: 0 }),
+    });
+
+    if (wasLocked) {
+      authEvents.emit("account.unlocked", {
+        userId: user.id,
+        username: user.username,
+        reason,
+      });
+    }
+  }
+}
+
+const lockoutPolicy = new LockoutPolicy();
+
+module.exports = { LockoutPolicy, lockoutPolicy };
@@ -0,0 +1,144 @@
+const { validationResult } = require("express-validator");
+const User = require("./User");
+const JWTService = require("./jwt");
+const { lockoutPolicy } = require("./lockoutPolicy");
+const { sessionService } = require("./sessions");
+const { cookieAuth } = require("./cookies");
+const { mailer } = require("../mail");
+const { magicLinkEmail } = require("./emails");
+
+const sendInvalidLink = (res) =>
+  res.status(401).json({
+    success: false,
+    message: "Invalid or expired login link",
+  });
+
+/**
+ * Passwordless login
+ * A single-use signed link is emailed to the account's address and
+ * exchanged at /magic-link/consume for the same tokens a password login
+ * returns. Accounts with MFA enabled still have to pass the second step.
+ */
+class MagicLinkController {
+  async request(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findByEmail(req.body.email);
+
+      // Same answer either way so the endpoint cannot be used to discover
+      // registered emails
+      if (user && user.isActive) {
+        const token = JWTService.generateMagicLinkToken(user);
+        const { iat, exp } = JWTService.decodeToken(token);
+        await mailer.send(
+          magicLinkEmail(user, token, Math.round((exp - iat) / 60))
+        );
+      }
+
+      res.json({
+        success: true,
+        message:
+          "If an account with that email exists, a login link has been sent",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async consume(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = JWTService.verifyMagicLinkToken(req.body.token);
+      } catch (error) {
+        return sendInvalidLink(res);
+      }
+
+      // The link is only good for the address it was sent to, and dies
+      // with a "log out everywhere"
+      const user = await User.findById(decoded.userId);
+      if (
+        !user ||
+        !user.isActive ||
+        user.email !== decoded.email ||
+        (decoded.tv || 0) !== (user.tokenVersion || 0)
+      ) {
+        return sendInvalidLink(res);
+      }
+
+      const lockStatus = await lockoutPolicy.check(user);
+      if (lockStatus.locked) {
+        res.set("Retry-After", String(lockStatus.retryAfter));
+        return res.status(423).json({
+          success: false,
+          message:
+            "Account temporarily locked due to too many failed login attempts",
+          retryAfter: lockStatus.retryAfter,
+        });
+      }
+
+      // Single-use: a second click or a leaked link gets nothing
+      try {
+        await JWTService.consumeMagicLinkToken(decoded);
+      } catch (error) {
+        return sendInvalidLink(res);
+      }
+
+      // Opening the link proves the user controls the address
+      if (!user.emailVerified) {
+        await User.markEmailVerified(user.id);
+      }
+
+      if (user.mfaEnabled) {
+        return res.json({
+          success: true,
+          message: "MFA verification required",
+          data: {
+            mfaRequired: true,
+            mfaToken: JWTService.generateMfaPendingToken(user, ["email"]),
+          },
+        });
+      }
+
+      await lockoutPolicy.recordSuccess(user);
+
+      const tokens = await sessionService.start(user, req, { amr: ["email"] });
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        data: {
+          user: User.sanitizeUser(await User.findById(user.id)),
+          ...cookieAuth.issue(req, res, tokens),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = new MagicLinkController();
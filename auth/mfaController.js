@@ -0,0 +1,364 @@
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+const User = require("./User");
+const JWTService = require("./jwt");
+const totp = require("./totp");
+const { lockoutPolicy } = require("./lockoutPolicy");
+const { sessionService } = require("./sessions");
+const { cookieAuth } = require("./cookies");
+
+const MFA_ISSUER = process.env.MFA_ISSUER || "nodejs-interview-prep";
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/-/g, "").toLowerCase())
+    .digest("hex");
+
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with MFA enabled
+ * Used codes are burned: the TOTP time step is remembered so the same code
+ * cannot be replayed, and recovery codes are removed after use. The burn is
+ * checked against the stored record in the same step, so of two requests
+ * with the same code only one gets through.
+ * Returns "otp", "recovery" or null.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.mfaSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const burned = await User.updateUserWith(user.id, (current) =>
+      step > (current.mfaLastUsedStep ?? -1) ? { mfaLastUsedStep: step } : null
+    );
+    return burned ? "otp" : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const burned = await User.updateUserWith(user.id, (current) => {
+      const codes = current.mfaRecoveryCodes || [];
+      return codes.includes(hash)
+        ? { mfaRecoveryCodes: codes.filter((h) => h !== hash) }
+        : null;
+    });
+    return burned ? "recovery" : null;
+  }
+
+  return null;
+};
+
+class MfaController {
+  async setup(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (user.mfaEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "MFA is already enabled",
+        });
+      }
+
+      // Not active until the user proves their app produces valid codes
+      const secret = totp.generateSecret();
+      await User.updateUser(user.id, { mfaPendingSecret: secret });
+
+      res.json({
+        success: true,
+        message: "Scan the QR code and confirm with a code from your app",
+        data: {
+          secret,
+          otpauthUri: totp.buildOtpauthUri({
+            secret,
+            accountName: user.email,
+            issuer: MFA_ISSUER,
+          }),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async confirm(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!user.mfaPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "No MFA setup in progress",
+        });
+      }
+
+      const step = totp.verifyCode(user.mfaPendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateUser(user.id, {
+        mfaEnabled: true,
+        mfaSecret: user.mfaPendingSecret,
+        mfaPendingSecret: null,
+        mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        mfaLastUsedStep: step,
+      });
+
+      res.json({
+        success: true,
+        message: "MFA enabled. Store the recovery codes somewhere safe.",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async disable(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!user.mfaEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "MFA is not enabled",
+        });
+      }
+
+      // Require both factors to turn the second one off
+      const isValidPassword = await User.validatePassword(
+        req.body.password,
+        user.password
+      );
+      if (!isValidPassword || !(await verifySecondFactor(user, req.body))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid password or verification code",
+        });
+      }
+
+      await User.updateUser(user.id, {
+        mfaEnabled: false,
+        mfaSecret: null,
+        mfaPendingSecret: null,
+        mfaRecoveryCodes: [],
+        mfaLastUsedStep: null,
+      });
+
+      res.json({
+        success: true,
+        message: "MFA disabled successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user || !user.mfaEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "MFA is not enabled",
+        });
+      }
+
+      if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      // Old codes stop working as soon as new ones are issued
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateUser(user.id, {
+        mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      });
+
+      res.json({
+        success: true,
+        message: "Recovery codes regenerated",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Second step of the login: exchange the MFA pending token and a code
+   * for a normal token pair
+   */
+  async verifyLogin(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = JWTService.verifyMfaPendingToken(req.body.mfaToken);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired MFA token",
+        });
+      }
+
+      const user = await User.findById(decoded.userId);
+      if (!user || !user.isActive || !user.mfaEnabled) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired MFA token",
+        });
+      }
+
+      // Locks expire on their own - tell the client when to come back
+      const lockStatus = await lockoutPolicy.check(user);
+      if (lockStatus.locked) {
+        res.set("Retry-After", String(lockStatus.retryAfter));
+        return res.status(423).json({
+          success: false,
+          message:
+            "Account temporarily locked due to too many failed login attempts",
+          retryAfter: lockStatus.retryAfter,
+        });
+      }
+
+      // Each pending token gets one attempt. Claiming it before the code is
+      // checked means a replayed token cannot burn the user's TOTP step or
+      // recovery codes, and two requests cannot both log in with it.
+      try {
+        await JWTService.consumeMfaPendingToken(decoded);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired MFA token",
+        });
+      }
+
+      // Wrong codes count as failed logins, same as wrong passwords
+      if (!(await verifySecondFactor(user, req.body))) {
+        const failureStatus = await lockoutPolicy.recordFailure(user);
+        if (failureStatus.locked) {
+          res.set("Retry-After", String(failureStatus.retryAfter));
+          return res.status(423).json({
+            success: false,
+            message:
+              "Account temporarily locked due to too many failed login attempts",
+            retryAfter: failureStatus.retryAfter,
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      await lockoutPolicy.recordSuccess(user);
+
+      // Keep how the first step was done (pwd or email) next to mfa
+      const tokens = await sessionService.start(user, req, {
+        amr: [...(decoded.amr || ["pwd"]), "mfa"],
+      });
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        data: {
+          user: User.sanitizeUser(await User.findById(user.id)),
+          ...cookieAuth.issue(req, res, tokens),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = new MfaController();
@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * Registered OAuth2 clients
+ * Internal services authenticate as clients with a client id and secret
+ * instead of logging in as a user. Like API keys, the secret is shown once
+ * and only its SHA-256 hash is kept. Clients are saved to OAUTH_CLIENTS_PATH
+ * and, like roles, the file is re-read when another process changes it.
+ *
+ * Client: { clientId, name, secretHash, scopes, createdBy, createdAt }
+ * `scopes` are the scopes the client may ask for at /oauth/token.
+ */
+class OAuthClientRegistry {
+  constructor(options = {}) {
+    this.filePath = path.resolve(
+      options.filePath ||
+        process.env.OAUTH_CLIENTS_PATH ||
+        "./data/oauth-clients.json"
+    );
+    this.clients = null;
+    this.lastModified = 0;
+  }
+
+  refresh() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (stat && stat.mtimeMs !== this.lastModified) {
+      const { clients } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.clients = clients || {};
+      this.lastModified = stat.mtimeMs;
+    } else if (!stat && !this.clients) {
+      this.clients = {};
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ clients: this.clients }, null, 2),
+      { mode: 0o600 }
+    );
+    fs.renameSync(tempPath, this.filePath);
+    this.lastModified = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Register a client; returns the secret, which is not stored
+   */
+  create({ name, scopes = [], createdBy = null }) {
+    this.refresh();
+
+    const clientId = `client_${crypto.randomBytes(8).toString("hex")}`;
+    const clientSecret = crypto.randomBytes(32).toString("base64url");
+    const client = {
+      clientId,
+      name,
+      secretHash: hashSecret(clientSecret),
+      scopes: [...new Set(scopes)],
+      createdBy,
+      createdAt: new Date(),
+    };
+
+    this.clients = { ...this.clients, [clientId]: client };
+    this.save();
+
+    return { clientSecret, client: this.describe(client) };
+  }
+
+  get(clientId) {
+    this.refresh();
+    return Object.prototype.hasOwnProperty.call(this.clients, clientId)
+      ? this.clients[clientId]
+      : null;
+  }
+
+  list() {
+    this.refresh();
+    return Object.values(this.clients).map((client) => this.describe(client));
+  }
+
+  delete(clientId) {
+    if (!this.get(clientId)) return false;
+
+    const { [clientId]: removed, ...clients } = this.clients;
+    this.clients = clients;
+    this.save();
+    return true;
+  }
+
+  /**
+   * The client for a client id and secret, or null if either is wrong
+   */
+  authenticate(clientId, clientSecret) {
+    const client = clientId && this.get(clientId);
+    if (!client || typeof clientSecret !== "string") return null;
+
+    const presented = Buffer.from(hashSecret(clientSecret), "hex");
+    const stored = Buffer.from(client.secretHash, "hex");
+    return presented.length === stored.length &&
+      crypto.timingSafeEqual(presented, stored)
+      ? client
+      : null;
+  }
+
+  // Everything except the secret hash
+  describe(client) {
+    const { secretHash, ...description } = client;
+    return description;
+  }
+}
+
+const oauthClients = new OAuthClientRegistry();
+
+module.exports = { OAuthClientRegistry, oauthClients };
@@ -0,0 +1,287 @@
+const JWTService = require("./jwt");
+const { oauthClients } = require("./oauthClients");
+
+// OAuth2 endpoints answer in the RFC 6749 error format rather than ours
+const sendOAuthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+const parseScope = (scope) =>
+  typeof scope === "string" ? scope.split(" ").filter(Boolean) : [];
+
+/**
+ * Client authentication (RFC 6749 section 2.3.1)
+ * HTTP Basic with the url-encoded client id and secret, or client_id and
+ * client_secret in the form body
+ */
+const authenticateClient = (req) => {
+  const authHeader = req.headers.authorization || "";
+
+  if (authHeader.startsWith("Basic ")) {
+    const credentials = Buffer.from(authHeader.substring(6), "base64")
+      .toString("utf8")
+      .split(":");
+    if (credentials.length !== 2) return null;
+
+    try {
+      return oauthClients.authenticate(
+        decodeURIComponent(credentials[0]),
+        decodeURIComponent(credentials[1])
+      );
+    } catch (error) {
+      return null; // Malformed percent-encoding
+    }
+  }
+
+  const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+  return oauthClients.authenticate(clientId, clientSecret);
+};
+
+const sendInvalidClient = (req, res) => {
+  if ((req.headers.authorization || "").startsWith("Basic ")) {
+    res.set("WWW-Authenticate", 'Basic realm="oauth"');
+  }
+  return sendOAuthError(
+    res,
+    401,
+    "invalid_client",
+    "Client authentication failed"
+  );
+};
+
+const sendTokens = (res, tokens) =>
+  res.json({
+    access_token: tokens.accessToken,
+    token_type: "Bearer",
+    expires_in: tokens.expiresIn,
+    refresh_token: tokens.refreshToken,
+    scope: tokens.scope,
+  });
+
+// Verify a token for introspection/revocation without throwing
+const decodeClientToken = (token) => {
+  try {
+    const decoded = JWTService.verifyToken(token);
+    return ["client", "client-refresh"].includes(decoded.type) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const tokenClientId = (decoded) => decoded.client_id || decoded.clientId;
+
+class OAuthController {
+  async token(req, res) {
+    try {
+      const client = authenticateClient(req);
+      if (!client) {
+        return sendInvalidClient(req, res);
+      }
+
+      // Token responses must never be cached (RFC 6749 section 5.1)
+      res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+      const grantType = req.body.grant_type;
+      if (grantType === "client_credentials") {
+        const requested = req.body.scope
+          ? parseScope(req.body.scope)
+          : client.scopes;
+        const disallowed = requested.filter(
+          (scope) => !client.scopes.includes(scope)
+        );
+        if (disallowed.length > 0) {
+          return sendOAuthError(
+            res,
+            400,
+            "invalid_scope",
+            `Scope not allowed for this client: ${disallowed.join(" ")}`
+          );
+        }
+
+        const tokens = await JWTService.generateClientTokenPair(
+          client,
+          requested
+        );
+        return sendTokens(res, tokens);
+      }
+
+      if (grantType === "refresh_token") {
+        if (!req.body.refresh_token) {
+          return sendOAuthError(
+            res,
+            400,
+            "invalid_request",
+            "refresh_token is required"
+          );
+        }
+
+        const decoded = decodeClientToken(req.body.refresh_token);
+        if (!decoded || decoded.type !== "client-refresh") {
+          return sendOAuthError(
+            res,
+            400,
+            "invalid_grant",
+            "Invalid refresh token"
+          );
+        }
+
+        // Another client holding this token means it leaked
+        if (decoded.clientId !== client.clientId) {
+          await JWTService.revokeFamily(decoded.family);
+          return sendOAuthError(
+            res,
+            400,
+            "invalid_grant",
+            "Invalid refresh token"
+          );
+        }
+
+        // A refresh may narrow the scope, never widen it
+        const granted = parseScope(decoded.scope).filter((scope) =>
+          client.scopes.includes(scope)
+        );
+        const requested = req.body.scope ? parseScope(req.body.scope) : granted;
+        if (requested.some((scope) => !granted.includes(scope))) {
+          return sendOAuthError(
+            res,
+            400,
+            "invalid_scope",
+            "Requested scope exceeds the original grant"
+          );
+        }
+
+        // Only retire the token once the request is otherwise valid
+        try {
+          await JWTService.rotateRefreshToken(
+            req.body.refresh_token,
+            "client-refresh"
+          );
+        } catch (error) {
+          return sendOAuthError(
+            res,
+            400,
+            "invalid_grant",
+            "Invalid refresh token"
+          );
+        }
+
+        const tokens = await JWTService.generateClientTokenPair(
+          client,
+          requested,
+          { family: decoded.family }
+        );
+        return sendTokens(res, tokens);
+      }
+
+      sendOAuthError(
+        res,
+        400,
+        grantType ? "unsupported_grant_type" : "invalid_request",
+        grantType
+          ? `Unsupported grant type: ${grantType}`
+          : "grant_type is required"
+      );
+    } catch (error) {
+      sendOAuthError(res, 500, "server_error", "Internal server error");
+    }
+  }
+
+  /**
+   * Token introspection (RFC 7662)
+   * Any registered client may ask about tokens issued at /oauth/token.
+   * Everything else - unknown, expired, revoked or user tokens - is
+   * reported as { active: false }.
+   */
+  async introspect(req, res) {
+    try {
+      if (!authenticateClient(req)) {
+        return sendInvalidClient(req, res);
+      }
+
+      if (!req.body.token) {
+        return sendOAuthError(res, 400, "invalid_request", "token is required");
+      }
+
+      res.set("Cache-Control", "no-store");
+
+      const decoded = decodeClientToken(req.body.token);
+      const owner = decoded && oauthClients.get(tokenClientId(decoded));
+      if (!owner) {
+        return res.json({ active: false });
+      }
+
+      let active;
+      if (decoded.type === "client") {
+        active = await JWTService.verifyClientAccessToken(req.body.token).then(
+          () => true,
+          () => false
+        );
+      } else {
+        active = await JWTService.isRefreshTokenActive(decoded);
+      }
+
+      if (!active) {
+        return res.json({ active: false });
+      }
+
+      res.json({
+        active: true,
+        token_type:
+          decoded.type === "client" ? "access_token" : "refresh_token",
+        client_id: owner.clientId,
+        scope: decoded.scope,
+        sub: owner.clientId,
+        iss: decoded.iss,
+        aud: decoded.aud,
+        iat: decoded.iat,
+        exp: decoded.exp,
+        jti: decoded.jti,
+      });
+    } catch (error) {
+      sendOAuthError(res, 500, "server_error", "Internal server error");
+    }
+  }
+
+  /**
+   * Token revocation (RFC 7009)
+   * Revoking a refresh token also revokes the access tokens issued with it.
+   * Unknown and already invalid tokens are not an error.
+   */
+  async revoke(req, res) {
+    try {
+      const client = authenticateClient(req);
+      if (!client) {
+        return sendInvalidClient(req, res);
+      }
+
+      if (!req.body.token) {
+        return sendOAuthError(res, 400, "invalid_request", "token is required");
+      }
+
+      const decoded = decodeClientToken(req.body.token);
+      if (!decoded) {
+        return res.status(200).end();
+      }
+
+      if (tokenClientId(decoded) !== client.clientId) {
+        return sendOAuthError(
+          res,
+          400,
+          "unauthorized_client",
+          "Token was not issued to this client"
+        );
+      }
+
+      if (decoded.type === "client") {
+        await JWTService.revokeAccessToken(decoded);
+      } else {
+        await JWTService.revokeFamily(decoded.family);
+      }
+
+      res.status(200).end();
+    } catch (error) {
+      sendOAuthError(res, 500, "server_error", "Internal server error");
+    }
+  }
+}
+
+module.exports = new OAuthController();
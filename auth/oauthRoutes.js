@@ -0,0 +1,131 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const oauthController = require("./oauthController");
+
+const router = express.Router();
+
+// Clients cache their tokens, so a modest limit is plenty
+const oauthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Limit each IP to 60 requests per windowMs
+  message: {
+    error: "slow_down",
+    error_description: "Too many requests, please try again later",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     clientAuth:
+ *       type: http
+ *       scheme: basic
+ *       description: OAuth2 client id and secret
+ */
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     summary: Get a client access token
+ *     description: OAuth2 token endpoint for registered clients. Authenticate with HTTP Basic or client_id/client_secret in the body.
+ *     tags: [OAuth2]
+ *     security:
+ *       - clientAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [client_credentials, refresh_token]
+ *               scope:
+ *                 type: string
+ *                 description: Space-separated scopes, defaults to all the client may use
+ *               refresh_token:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: access_token, token_type, expires_in, refresh_token and scope
+ *       400:
+ *         description: invalid_request, invalid_grant, invalid_scope or unsupported_grant_type
+ *       401:
+ *         description: invalid_client
+ */
+router.post("/token", oauthLimiter, oauthController.token);
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     summary: Introspect a client token
+ *     description: RFC 7662 introspection of tokens issued at /oauth/token. Inactive, unknown and user tokens return { active false }.
+ *     tags: [OAuth2]
+ *     security:
+ *       - clientAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token state
+ *       401:
+ *         description: invalid_client
+ */
+router.post("/introspect", oauthLimiter, oauthController.introspect);
+
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     summary: Revoke a client token
+ *     description: RFC 7009 revocation. Revoking a refresh token also revokes the access tokens issued with it.
+ *     tags: [OAuth2]
+ *     security:
+ *       - clientAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked, or it was already invalid
+ *       400:
+ *         description: Token belongs to another client
+ *       401:
+ *         description: invalid_client
+ */
+router.post("/revoke", oauthLimiter, oauthController.revoke);
+
+module.exports = router;
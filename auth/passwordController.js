@@ -1,6 +1,18 @@
+const crypto = require("crypto");
 const { validationResult } = require("express-validator");
 const User = require("./User");
-const bcrypt = require("bcryptjs");
+const { mailer } = require("../mail");
+const { passwordResetEmail } = require("./emails");
+const { lockoutPolicy } = require("./lockoutPolicy");
+const { passwordPolicy } = require("./passwordPolicy");
+const { passwordHasher } = require("./passwordHasher");
+const { apiKeyService } = require("./apiKeys");
+
+const PASSWORD_RESET_EXPIRES_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+const hashResetToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
 
 class PasswordController {
   async changePassword(req, res) {
@@ -18,7 +30,7 @@ class PasswordController {
       const userId = req.user.userId;
 
       // Get user
-      const user = User.findById(userId);
+      const user = await User.findById(userId);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -38,12 +50,22 @@ class PasswordController {
         });
       }
 
-      // Hash new password
-      const saltRounds = 12;
-      const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+      const failures = await passwordPolicy.validate(newPassword, { user });
+      if (failures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Password does not meet the password policy",
+          errors: failures,
+        });
+      }
+
+      const hashedNewPassword = await passwordHasher.hash(newPassword);
 
-      // Update password
-      User.updateUser(userId, { password: hashedNewPassword });
+      // Update password, remembering the old one so it cannot come back
+      await User.updateUser(userId, {
+        password: hashedNewPassword,
+        passwordHistory: passwordPolicy.nextHistory(user),
+      });
 
       res.json({
         success: true,
@@ -57,6 +79,128 @@ class PasswordController {
     }
   }
 
+  getPasswordPolicy(req, res) {
+    res.json({
+      success: true,
+      data: passwordPolicy.describe(),
+    });
+  }
+
+  async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { email } = req.body;
+      const user = await User.findByEmail(email);
+
+      // Only send mail to active accounts, but answer the same way either
+      // way so the endpoint cannot be used to discover registered emails
+      if (user && user.isActive) {
+        const token = crypto.randomBytes(32).toString("hex");
+        const expiresAt = new Date(
+          Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000
+        );
+
+        // Only the hash is stored - a leaked user record cannot be replayed
+        await User.setPasswordResetToken(
+          user.id,
+          hashResetToken(token),
+          expiresAt
+        );
+
+        await mailer.send(
+          passwordResetEmail(user, token, PASSWORD_RESET_EXPIRES_MINUTES)
+        );
+      }
+
+      res.json({
+        success: true,
+        message:
+          "If an account with that email exists, a password reset link has been sent",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
+  async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, newPassword } = req.body;
+
+      const tokenHash = hashResetToken(token);
+      const user = await User.findByPasswordResetToken(tokenHash);
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      // A rejected password leaves the token usable for another try
+      const failures = await passwordPolicy.validate(newPassword, { user });
+      if (failures.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Password does not meet the password policy",
+          errors: failures,
+        });
+      }
+
+      // Tokens are single-use - claim it before doing anything else. A
+      // parallel request with the same token may have got there first.
+      if (!(await User.claimPasswordResetToken(user.id, tokenHash))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      const hashedNewPassword = await passwordHasher.hash(newPassword);
+
+      await User.updateUser(user.id, {
+        password: hashedNewPassword,
+        passwordHistory: passwordPolicy.nextHistory(user),
+      });
+
+      // Proving control of the mailbox is enough to lift a lockout
+      await lockoutPolicy.unlock(user, "password-reset");
+
+      // Whoever knew the old password should not stay logged in, nor keep
+      // API keys they may have created
+      await User.incrementTokenVersion(user.id);
+      await apiKeyService.revokeAll(user.id);
+
+      res.json({
+        success: true,
+        message: "Password has been reset successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+
   async resetLoginAttempts(req, res) {
     try {
       const { userId } = req.params;
@@ -69,7 +213,7 @@ class PasswordController {
         });
       }
 
-      const user = User.findById(userId);
+      const user = await User.findById(userId);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -77,7 +221,7 @@ class PasswordController {
         });
       }
 
-      User.resetLoginAttempts(userId);
+      await lockoutPolicy.unlock(user, "manual");
 
       res.json({
         success: true,
@@ -0,0 +1,74 @@
+// Password hashing jobs for auth/passwordHasher.js
+// bcrypt and scrypt are deliberately slow; running them here keeps a burst
+// of logins from blocking the event loop. Also loaded in-process when the
+// hasher is configured without workers.
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { isMainThread, parentPort } = require("worker_threads");
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// $scrypt$ln=15,r=8,p=1$<salt>$<hash> (base64, PHC-style)
+const SCRYPT_PATTERN = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([^$]+)\$([^$]+)$/;
+
+const scryptOptions = ({ cost, blockSize, parallelization }) => ({
+  N: 2 ** cost,
+  r: blockSize,
+  p: parallelization,
+  // Node's default 32 MB cap is too small for the recommended cost
+  maxmem: 256 * 2 ** cost * blockSize,
+});
+
+const jobs = {
+  hash({ algorithm, password, params }) {
+    if (algorithm === "scrypt") {
+      const salt = crypto.randomBytes(16);
+      const key = crypto.scryptSync(
+        password,
+        salt,
+        SCRYPT_KEY_LENGTH,
+        scryptOptions(params)
+      );
+      return `$scrypt$ln=${params.cost},r=${params.blockSize},p=${
+        params.parallelization
+      }$${salt.toString("base64")}$${key.toString("base64")}`;
+    }
+
+    return bcrypt.hashSync(password, params.rounds);
+  },
+
+  verify({ password, hash }) {
+    const match = SCRYPT_PATTERN.exec(hash);
+    if (!match) {
+      return bcrypt.compareSync(password, hash);
+    }
+
+    const expected = Buffer.from(match[5], "base64");
+    const key = crypto.scryptSync(
+      password,
+      Buffer.from(match[4], "base64"),
+      expected.length,
+      scryptOptions({
+        cost: Number(match[1]),
+        blockSize: Number(match[2]),
+        parallelization: Number(match[3]),
+      })
+    );
+    return crypto.timingSafeEqual(key, expected);
+  },
+};
+
+const runJob = ({ op, ...job }) => jobs[op](job);
+
+if (!isMainThread) {
+  parentPort.on("message", ({ id, job }) => {
+    try {
+      parentPort.postMessage({ id, result: runJob(job) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = { runJob, SCRYPT_PATTERN };
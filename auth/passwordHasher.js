@@ -0,0 +1,169 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { runJob, SCRYPT_PATTERN } = require("./passwordHashWorker");
+
+const ALGORITHMS = ["bcrypt", "scrypt"];
+const BCRYPT_PATTERN = /^\$2[aby]\$(\d{2})\$/;
+
+/**
+ * Password hashing service
+ * Hashes new passwords with PASSWORD_HASH_ALGORITHM (bcrypt or scrypt) at
+ * the configured cost, and verifies hashes made with either. Stored hashes
+ * record their own parameters, so needsRehash() can tell when one was made
+ * with older settings and should be upgraded at the next successful login.
+ *
+ * The work runs on a small pool of worker threads (PASSWORD_HASH_WORKERS,
+ * 0 runs it in-process). Workers stay alive between jobs but do not keep
+ * the process running while idle.
+ */
+class PasswordHasher {
+  constructor(options = {}) {
+    this.algorithm =
+      options.algorithm || process.env.PASSWORD_HASH_ALGORITHM || "bcrypt";
+    if (!ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unknown password hash algorithm: ${this.algorithm}`);
+    }
+
+    this.bcryptRounds =
+      options.bcryptRounds || parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    // scrypt N = 2^cost
+    this.scrypt = {
+      cost: options.scryptCost || parseInt(process.env.SCRYPT_COST) || 15,
+      blockSize:
+        options.scryptBlockSize || parseInt(process.env.SCRYPT_BLOCK_SIZE) || 8,
+      parallelization:
+        options.scryptParallelization ||
+        parseInt(process.env.SCRYPT_PARALLELIZATION) ||
+        1,
+    };
+
+    // Not `|| default`: 0 is a valid setting. Unset or not a number (NaN
+    // would leave the pool unbounded) falls back to the default
+    const workers = parseInt(process.env.PASSWORD_HASH_WORKERS);
+    this.poolSize =
+      options.poolSize ??
+      (workers >= 0 ? workers : Math.min(2, os.cpus().length));
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  async hash(password) {
+    return this.run({
+      op: "hash",
+      algorithm: this.algorithm,
+      password,
+      params:
+        this.algorithm === "scrypt"
+          ? this.scrypt
+          : { rounds: this.bcryptRounds },
+    });
+  }
+
+  async verify(password, hash) {
+    if (typeof password !== "string" || typeof hash !== "string") {
+      return false;
+    }
+    return this.run({ op: "verify", password, hash });
+  }
+
+  /**
+   * True if a stored hash was not made with the current algorithm and cost
+   */
+  needsRehash(hash) {
+    const bcryptMatch = BCRYPT_PATTERN.exec(hash || "");
+    if (bcryptMatch) {
+      return (
+        this.algorithm !== "bcrypt" ||
+        Number(bcryptMatch[1]) !== this.bcryptRounds
+      );
+    }
+
+    const scryptMatch = SCRYPT_PATTERN.exec(hash || "");
+    if (scryptMatch) {
+      return (
+        this.algorithm !== "scrypt" ||
+        Number(scryptMatch[1]) !== this.scrypt.cost ||
+        Number(scryptMatch[2]) !== this.scrypt.blockSize ||
+        Number(scryptMatch[3]) !== this.scrypt.parallelization
+      );
+    }
+
+    return true;
+  }
+
+  run(job) {
+    if (this.poolSize <= 0) {
+      return Promise.resolve().then(() => runJob(job));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, job, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || this.spawn();
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      this.pending.set(task.id, { ...task, worker });
+      worker.ref();
+      worker.postMessage({ id: task.id, job: task.job });
+    }
+  }
+
+  spawn() {
+    if (this.workers.length >= this.poolSize) return null;
+
+    const worker = new Worker(path.join(__dirname, "passwordHashWorker.js"));
+
+    worker.on("message", ({ id, result, error }) => {
+      const task = this.pending.get(id);
+      this.pending.delete(id);
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+
+      worker.unref();
+      this.idle.push(worker);
+      this.dispatch();
+    });
+
+    // A crashed worker fails its job and is replaced on demand
+    worker.on("error", (error) => {
+      this.retire(worker, error);
+    });
+    worker.on("exit", (code) => {
+      this.retire(worker, new Error(`Hash worker exited with code ${code}`));
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  retire(worker, error) {
+    if (!this.workers.includes(worker)) return;
+
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+    for (const [id, task] of this.pending) {
+      if (task.worker === worker) {
+        this.pending.delete(id);
+        task.reject(error);
+      }
+    }
+    this.dispatch();
+  }
+}
+
+const passwordHasher = new PasswordHasher();
+
+module.exports = { PasswordHasher, passwordHasher };
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const { passwordHasher } = require("./passwordHasher");
+
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: "a lowercase letter" },
+  upper: { pattern: /[A-Z]/, label: "an uppercase letter" },
+  digit: { pattern: /\d/, label: "a number" },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: "a symbol" },
+};
+
+const parseList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Password policy
+ * The one place password rules live - registration, change-password and
+ * reset all go through validate(), which returns every rule a password
+ * breaks so clients can show them all at once:
+ *
+ *   [{ code: "too_short", message: "Password must be at least 8 characters" }]
+ *
+ * Codes: too_short, too_long, missing_lower, missing_upper, missing_digit,
+ * missing_symbol, contains_username, contains_email, common, reused
+ *
+ * Reuse is checked against the current password and the previous ones kept
+ * (as password hashes) in user.passwordHistory, PASSWORD_HISTORY passwords in all.
+ * The common/breached list is a text file with one password per line,
+ * compared case-insensitively.
+ */
+class PasswordPolicy {
+  constructor(options = {}) {
+    this.minLength =
+      options.minLength || parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+    this.maxLength =
+      options.maxLength || parseInt(process.env.PASSWORD_MAX_LENGTH) || 128;
+    this.requiredClasses =
+      options.requiredClasses ||
+      parseList(process.env.PASSWORD_REQUIRED_CLASSES || "lower,upper,digit");
+    // 0 is a valid setting (history off), so only fall back on NaN
+    const historySize = parseInt(process.env.PASSWORD_HISTORY);
+    this.historySize =
+      options.historySize ?? (Number.isNaN(historySize) ? 5 : historySize);
+    this.blocklistPath = path.resolve(
+      options.blocklistPath ||
+        process.env.PASSWORD_BLOCKLIST_PATH ||
+        path.join(__dirname, "../config/common-passwords.txt")
+    );
+    this.blocklist = null;
+
+    for (const name of this.requiredClasses) {
+      if (!CHARACTER_CLASSES[name]) {
+        throw new Error(`Unknown password character class: ${name}`);
+      }
+    }
+  }
+
+  // Read lazily so a missing list only matters once a password is checked
+  loadBlocklist() {
+    if (!this.blocklist) {
+      this.blocklist = new Set(
+        fs
+          .readFileSync(this.blocklistPath, "utf8")
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith("#"))
+      );
+    }
+    return this.blocklist;
+  }
+
+  /**
+   * Rules that only need the password and who it is for
+   */
+  check(password, { username, email } = {}) {
+    const failures = [];
+    const fail = (code, message) => failures.push({ code, message });
+
+    if (typeof password !== "string" || password.length < this.minLength) {
+      fail(
+        "too_short",
+        `Password must be at least ${this.minLength} characters`
+      );
+      if (typeof password !== "string") return failures;
+    }
+
+    if (password.length > this.maxLength) {
+      fail("too_long", `Password must be at most ${this.maxLength} characters`);
+    }
+
+    for (const name of this.requiredClasses) {
+      if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+        fail(
+          `missing_${name}`,
+          `Password must contain ${CHARACTER_CLASSES[name].label}`
+        );
+      }
+    }
+
+    const lowered = password.toLowerCase();
+    if (
+      username &&
+      username.length >= 3 &&
+      lowered.includes(username.toLowerCase())
+    ) {
+      fail("contains_username", "Password must not contain your username");
+    }
+
+    const localPart = email ? email.split("@")[0].toLowerCase() : "";
+    if (localPart.length >= 3 && lowered.includes(localPart)) {
+      fail("contains_email", "Password must not contain your email address");
+    }
+
+    if (this.loadBlocklist().has(lowered)) {
+      fail("common", "Password is too common or has appeared in a data breach");
+    }
+
+    return failures;
+  }
+
+  /**
+   * Every rule, including reuse when the user already has a password
+   */
+  async validate(password, { username, email, user } = {}) {
+    const failures = this.check(password, {
+      username: username || (user && user.username),
+      email: email || (user && user.email),
+    });
+
+    if (
+      user &&
+      typeof password === "string" &&
+      (await this.isReused(password, user))
+    ) {
+      failures.push({
+        code: "reused",
+        message: `Password must not be one of your last ${this.historySize} passwords`,
+      });
+    }
+
+    return failures;
+  }
+
+  async isReused(password, user) {
+    for (const hash of this.recentHashes(user)) {
+      if (await passwordHasher.verify(password, hash)) return true;
+    }
+    return false;
+  }
+
+  recentHashes(user) {
+    return [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, this.historySize);
+  }
+
+  /**
+   * passwordHistory to store alongside a new password: the hashes that,
+   * together with the new one, make up the last PASSWORD_HISTORY passwords
+   */
+  nextHistory(user) {
+    return this.recentHashes(user).slice(0, Math.max(0, this.historySize - 1));
+  }
+
+  // Published so clients can show the rules before the user types
+  describe() {
+    return {
+      minLength: this.minLength,
+      maxLength: this.maxLength,
+      requiredClasses: this.requiredClasses,
+      historySize: this.historySize,
+      disallowPersonalInfo: true,
+      checksCommonPasswords: true,
+    };
+  }
+}
+
+const passwordPolicy = new PasswordPolicy();
+
+module.exports = { PasswordPolicy, passwordPolicy };
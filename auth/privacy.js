@@ -0,0 +1,289 @@
+const User = require("./User");
+const authEvents = require("./authEvents");
+const { sessionService } = require("./sessions");
+const { apiKeyService } = require("./apiKeys");
+const { impersonationService } = require("./impersonation");
+
+const DELETION_MODES = ["anonymize", "delete"];
+
+class PrivacyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PrivacyError";
+    this.status = status;
+  }
+}
+
+// Shared by the privacy controller and the admin routes
+const sendPrivacyError = (res, error) => {
+  if (error instanceof PrivacyError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
+
+/**
+ * Data export and account deletion
+ * exportData() bundles everything kept about a user: profile, sessions,
+ * API keys, role requests, invitations and impersonation audit entries,
+ * plus whatever registered data sources hold (posts, for example).
+ *
+ * requestDeletion() is a soft delete: the account is deactivated and
+ * signed out everywhere straight away, and erased once the grace period
+ * (ACCOUNT_DELETION_GRACE_DAYS) is over. Until then an administrator can
+ * cancel it. ACCOUNT_DELETION_MODE picks how the account is erased:
+ *   anonymize - keep the record, strip everything personal (default)
+ *   delete    - remove the record
+ * Audit entries are kept either way.
+ *
+ * user.deletion: { status, requestedAt, scheduledFor, mode, reason,
+ *                  cancelledAt, cancelledBy, completedAt }
+ * status: pending | cancelled | completed
+ */
+class PrivacyService {
+  constructor(options = {}) {
+    this.graceDays =
+      options.graceDays ??
+      parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? "30");
+    this.mode =
+      options.mode || process.env.ACCOUNT_DELETION_MODE || "anonymize";
+    this.sweepInterval =
+      options.sweepInterval ||
+      (parseInt(process.env.ACCOUNT_DELETION_SWEEP_MINUTES) || 60) * 60 * 1000;
+    this.sweepTimer = null;
+
+    this.sources = new Map();
+  }
+
+  /**
+   * Check the settings and start the periodic sweep for due deletions
+   * Called once by server.js at startup. ACCOUNT_DELETION_SWEEP=false
+   * leaves the sweep off in this process - cluster.js turns it on in one
+   * worker only, so workers do not race each other erasing accounts.
+   */
+  start({ sweep = process.env.ACCOUNT_DELETION_SWEEP !== "false" } = {}) {
+    if (!DELETION_MODES.includes(this.mode)) {
+      const expected = DELETION_MODES.join(" or ");
+      throw new Error(
+        `Unknown ACCOUNT_DELETION_MODE "${this.mode}" (expected ${expected})`
+      );
+    }
+
+    // NaN would schedule deletions for an invalid date, which the stores
+    // read back as either "due now" or "never"
+    if (!Number.isInteger(this.graceDays) || this.graceDays < 0) {
+      const value = process.env.ACCOUNT_DELETION_GRACE_DAYS ?? this.graceDays;
+      throw new Error(
+        `Invalid ACCOUNT_DELETION_GRACE_DAYS "${value}" (expected a whole number, 0 or more)`
+      );
+    }
+
+    if (sweep && !this.sweepTimer) {
+      this.sweepTimer = setInterval(() => {
+        this.processDueDeletions().catch((error) => {
+          console.error(`Account deletion sweep failed: ${error.message}`);
+        });
+      }, this.sweepInterval);
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Add data kept outside the user store to exports and deletions
+   *   export(user)       -> data to include under `name`
+   *   erase(user, mode)  -> remove or anonymize it
+   */
+  registerSource(name, source) {
+    this.sources.set(name, source);
+  }
+
+  async exportData(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new PrivacyError("User not found", 404);
+    }
+
+    const involves = (...ids) => ids.includes(user.id);
+    const roleRequests = (await User.listRoleRequests({})).filter((request) =>
+      involves(request.userId, request.requestedBy, request.decidedBy)
+    );
+    const invitations = (await User.listInvitations({}))
+      .filter((invitation) =>
+        involves(invitation.acceptedUserId, invitation.invitedBy)
+      )
+      .map(({ tokenHash, ...invitation }) => invitation);
+
+    const sourceData = {};
+    for (const [name, source] of this.sources) {
+      sourceData[name] = await source.export(user);
+    }
+
+    return {
+      exportedAt: new Date(),
+      profile: User.sanitizeUser(user),
+      sessions: await sessionService.list(user),
+      apiKeys: await apiKeyService.list(user.id),
+      ...sourceData,
+      audit: {
+        roleRequests,
+        invitations,
+        impersonation: await impersonationService.entriesFor(user.id),
+      },
+    };
+  }
+
+  async requestDeletion(userId, { reason = "" } = {}) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new PrivacyError("User not found", 404);
+    }
+    if (user.deletion && user.deletion.status === "pending") {
+      throw new PrivacyError("Account deletion is already scheduled", 409);
+    }
+
+    const requestedAt = new Date();
+    const deletion = {
+      status: "pending",
+      requestedAt,
+      scheduledFor: new Date(
+        requestedAt.getTime() + this.graceDays * 24 * 60 * 60 * 1000
+      ),
+      mode: this.mode,
+      reason,
+      cancelledAt: null,
+      cancelledBy: null,
+      completedAt: null,
+    };
+
+    // Inactive accounts cannot sign in or use API keys; bumping the token
+    // version kills every outstanding token
+    await User.updateUser(user.id, { isActive: false, deletion });
+    await User.incrementTokenVersion(user.id);
+    await sessionService.revokeAll(user.id);
+
+    authEvents.emit("account.deletion_requested", {
+      userId: user.id,
+      username: user.username,
+      scheduledFor: deletion.scheduledFor,
+      mode: deletion.mode,
+    });
+
+    return deletion;
+  }
+
+  async cancelDeletion(userId, actorId) {
+    const user = await User.findById(userId);
+    if (!user || !user.deletion || user.deletion.status !== "pending") {
+      throw new PrivacyError("No pending deletion for this user", 404);
+    }
+
+    const deletion = {
+      ...user.deletion,
+      status: "cancelled",
+      cancelledAt: new Date(),
+      cancelledBy: actorId,
+    };
+    await User.updateUser(user.id, { isActive: true, deletion });
+
+    authEvents.emit("account.deletion_cancelled", {
+      userId: user.id,
+      username: user.username,
+      cancelledBy: actorId,
+    });
+
+    return deletion;
+  }
+
+  async listPendingDeletions() {
+    const users = await User.getAllUsers();
+    return users
+      .filter((user) => user.deletion && user.deletion.status === "pending")
+      .map((user) => ({
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        ...user.deletion,
+      }))
+      .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+  }
+
+  /**
+   * Erase every account whose grace period is over
+   * Returns the ids of the erased accounts.
+   */
+  async processDueDeletions(now = Date.now()) {
+    const due = (await this.listPendingDeletions()).filter(
+      (deletion) => new Date(deletion.scheduledFor).getTime() <= now
+    );
+
+    const erased = [];
+    for (const { userId } of due) {
+      const user = await User.findById(userId);
+      // Cancelled while the sweep was running
+      if (!user || !user.deletion || user.deletion.status !== "pending") {
+        continue;
+      }
+
+      await this.eraseAccount(user);
+      erased.push(userId);
+    }
+    return erased;
+  }
+
+  async eraseAccount(user) {
+    const mode = user.deletion.mode || this.mode;
+
+    for (const source of this.sources.values()) {
+      await source.erase(user, mode);
+    }
+
+    if (mode === "delete") {
+      await User.deleteUser(user.id);
+    } else {
+      // Usernames cannot contain "-", so these never clash with real ones
+      await User.updateUser(user.id, {
+        username: `deleted-${user.id}`,
+        email: `deleted-${user.id}@deleted.invalid`,
+        password: null,
+        passwordHistory: [],
+        passwordResetTokenHash: null,
+        passwordResetExpires: null,
+        emailVerified: false,
+        emailVerifiedAt: null,
+        failedLoginAttempts: [],
+        lastLogin: null,
+        mfaEnabled: false,
+        mfaSecret: null,
+        mfaPendingSecret: null,
+        mfaRecoveryCodes: [],
+        mfaLastUsedStep: null,
+        apiKeys: [],
+        isActive: false,
+        deletion: {
+          ...user.deletion,
+          reason: "",
+          status: "completed",
+          completedAt: new Date(),
+        },
+      });
+    }
+
+    authEvents.emit("account.deleted", { userId: user.id, mode });
+  }
+}
+
+const privacyService = new PrivacyService();
+
+module.exports = {
+  PrivacyService,
+  PrivacyError,
+  sendPrivacyError,
+  privacyService,
+};
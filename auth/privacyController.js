@@ -0,0 +1,78 @@
+const { validationResult } = require("express-validator");
+const User = require("./User");
+const JWTService = require("./jwt");
+const { privacyService, sendPrivacyError } = require("./privacy");
+const { cookieAuth } = require("./cookies");
+
+class PrivacyController {
+  // Served as a download so browsers save it instead of rendering it
+  async exportData(req, res) {
+    try {
+      const data = await privacyService.exportData(req.user.userId);
+      const date = data.exportedAt.toISOString().slice(0, 10);
+
+      res.set("Cache-Control", "no-store");
+      res.attachment(`account-export-${date}.json`);
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  }
+
+  async requestDeletion(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const isValidPassword = await User.validatePassword(
+        req.body.password,
+        user.password
+      );
+      if (!isValidPassword) {
+        return res.status(400).json({
+          success: false,
+          message: "Password is incorrect",
+        });
+      }
+
+      const deletion = await privacyService.requestDeletion(user.id, {
+        reason: req.body.reason,
+      });
+
+      // The account is signed out everywhere, including this request
+      await JWTService.revokeAccessToken(req.user);
+      cookieAuth.clear(req, res);
+
+      res.status(202).json({
+        success: true,
+        message:
+          "Account deactivated and scheduled for deletion; contact an administrator before then to cancel",
+        data: {
+          scheduledFor: deletion.scheduledFor,
+          mode: deletion.mode,
+        },
+      });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  }
+}
+
+module.exports = new PrivacyController();
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+
+// Roles every install relies on: registration assigns "user", and "admin"
+// is the role that can edit the others
+const PROTECTED_ROLES = ["user", "admin"];
+
+/**
+ * Check one granted permission against a required one
+ * Permissions are colon-separated; "*" matches any remaining segments,
+ * so "posts:*" grants "posts:delete:any" and "*" grants everything.
+ */
+const permissionMatches = (granted, required) => {
+  const grantedParts = granted.split(":");
+  const requiredParts = required.split(":");
+
+  for (let i = 0; i < grantedParts.length; i++) {
+    if (grantedParts[i] === "*") return true;
+    if (grantedParts[i] !== requiredParts[i]) return false;
+  }
+
+  return grantedParts.length === requiredParts.length;
+};
+
+/**
+ * Role registry - maps roles to permissions
+ * Definitions come from config/roles.json (ROLES_CONFIG_PATH). Changes made
+ * through the admin API are written to ROLES_PATH and take precedence from
+ * then on; like the key ring, the file is re-read when another process
+ * changes it.
+ *
+ * Definition: { description, inherits: [role], permissions: [permission] }
+ * A role has its own permissions plus those of every role it inherits.
+ */
+class RoleRegistry {
+  constructor(options = {}) {
+    this.configPath = path.resolve(
+      options.configPath ||
+        process.env.ROLES_CONFIG_PATH ||
+        path.join(__dirname, "../config/roles.json")
+    );
+    this.filePath = path.resolve(
+      options.filePath || process.env.ROLES_PATH || "./data/roles.json"
+    );
+    this.roles = null;
+    this.lastModified = 0;
+    this.effective = new Map();
+  }
+
+  // Use saved definitions when there are any, the config file otherwise
+  refresh() {
+    let stat = null;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (stat && stat.mtimeMs !== this.lastModified) {
+      this.load(this.filePath);
+      this.lastModified = stat.mtimeMs;
+    } else if (!stat && !this.roles) {
+      this.load(this.configPath);
+    }
+  }
+
+  load(filePath) {
+    const { roles } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    this.roles = roles || {};
+    this.effective.clear();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ roles: this.roles }, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.lastModified = fs.statSync(this.filePath).mtimeMs;
+    this.effective.clear();
+  }
+
+  hasRole(role) {
+    this.refresh();
+    return Object.prototype.hasOwnProperty.call(this.roles, role);
+  }
+
+  getRoleNames() {
+    this.refresh();
+    return Object.keys(this.roles);
+  }
+
+  /**
+   * A role's definition plus its effective (inherited) permissions
+   */
+  getRole(role) {
+    if (!this.hasRole(role)) return null;
+
+    return {
+      name: role,
+      description: this.roles[role].description || "",
+      inherits: this.roles[role].inherits || [],
+      permissions: this.roles[role].permissions || [],
+      effectivePermissions: Array.from(this.getPermissions(role)).sort(),
+    };
+  }
+
+  getRoles() {
+    return this.getRoleNames().map((role) => this.getRole(role));
+  }
+
+  /**
+   * Every permission a role has, including inherited ones
+   */
+  getPermissions(role) {
+    this.refresh();
+    if (!this.effective.has(role)) {
+      this.effective.set(role, this.resolve(role, new Set()));
+    }
+    return this.effective.get(role);
+  }
+
+  resolve(role, visiting) {
+    const definition = this.roles[role];
+    if (!definition || visiting.has(role)) return new Set();
+
+    visiting.add(role);
+    const permissions = new Set(definition.permissions || []);
+    for (const parent of definition.inherits || []) {
+      for (const permission of this.resolve(parent, visiting)) {
+        permissions.add(permission);
+      }
+    }
+    visiting.delete(role);
+    return permissions;
+  }
+
+  hasPermission(role, permission) {
+    for (const granted of this.getPermissions(role)) {
+      if (permissionMatches(granted, permission)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Create or replace a role definition
+   */
+  setRole(role, { description = "", inherits = [], permissions = [] }) {
+    this.refresh();
+
+    for (const parent of inherits) {
+      if (parent === role) {
+        throw new Error("A role cannot inherit from itself");
+      }
+      if (!this.hasRole(parent)) {
+        throw new Error(`Unknown role to inherit from: ${parent}`);
+      }
+      if (this.inheritsFrom(parent, role)) {
+        throw new Error(`Inheriting from ${parent} would create a cycle`);
+      }
+    }
+
+    this.roles = {
+      ...this.roles,
+      [role]: {
+        description,
+        inherits: [...new Set(inherits)],
+        permissions: [...new Set(permissions)],
+      },
+    };
+    this.save();
+    return this.getRole(role);
+  }
+
+  deleteRole(role) {
+    this.refresh();
+
+    if (PROTECTED_ROLES.includes(role)) {
+      throw new Error(`The ${role} role cannot be deleted`);
+    }
+
+    const dependents = Object.keys(this.roles).filter((name) =>
+      (this.roles[name].inherits || []).includes(role)
+    );
+    if (dependents.length > 0) {
+      throw new Error(`Role is inherited by: ${dependents.join(", ")}`);
+    }
+
+    const { [role]: removed, ...roles } = this.roles;
+    this.roles = roles;
+    this.save();
+  }
+
+  // True if `role` is `ancestor` or inherits from it, directly or not
+  inheritsFrom(role, ancestor, visiting = new Set()) {
+    if (role === ancestor) return true;
+    if (visiting.has(role)) return false;
+    visiting.add(role);
+
+    return ((this.roles[role] && this.roles[role].inherits) || []).some(
+      (parent) => this.inheritsFrom(parent, ancestor, visiting)
+    );
+  }
+}
+
+const roleRegistry = new RoleRegistry();
+
+module.exports = { RoleRegistry, roleRegistry, permissionMatches };
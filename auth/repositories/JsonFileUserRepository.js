@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const MemoryUserRepository = require("./MemoryUserRepository");
+const migrations = require("./migrations").json;
+
+/**
+ * JSON file user repository
+ * Keeps the memory repository's indexes and writes the whole document to
+ * disk after every change (write to a temp file, then rename, so a crash
+ * never leaves a half-written file). The file is reloaded when it has been
+ * edited since our last read.
+ *
+ * Single process only: every write replaces the whole file with this
+ * process's copy, so two processes writing to it lose each other's changes.
+ * cluster.js refuses to start with USER_STORE=json; use sqlite there.
+ */
+class JsonFileUserRepository extends MemoryUserRepository {
+  constructor(options = {}) {
+    super();
+    this.filePath = path.resolve(
+      options.filePath || process.env.USER_STORE_PATH || "./data/users.json"
+    );
+    this.lastModified = 0;
+    this.ready = null;
+    this.writing = null;
+  }
+
+  async init() {
+    if (!this.ready) {
+      this.ready = this.load();
+    }
+    return this.ready;
+  }
+
+  async load() {
+    let document = {};
+    if (fs.existsSync(this.filePath)) {
+      document = JSON.parse(await fs.promises.readFile(this.filePath, "utf8"));
+    }
+
+    // Bring the document up to the latest schema version
+    let version = document.version || 0;
+    const pending = migrations.filter((m) => m.version > version);
+    for (const migration of pending) {
+      document = migration.up(document);
+      version = migration.version;
+      console.log(`User store migrated to v${version} (${migration.name})`);
+    }
+
+    this.users.clear();
+    this.usernameIndex.clear();
+    this.emailIndex.clear();
+    this.apiKeyIndex.clear();
+    for (const user of document.users) {
+      this.users.set(user.id, user);
+      this.index(user);
+    }
+
+    this.roleRequests.clear();
+    for (const request of document.roleRequests) {
+      this.roleRequests.set(request.id, request);
+    }
+
+    this.invitations.clear();
+    for (const invitation of document.invitations) {
+      this.invitations.set(invitation.id, invitation);
+    }
+
+    if (pending.length > 0 || !fs.existsSync(this.filePath)) {
+      await this.persist();
+    } else {
+      this.lastModified = (await fs.promises.stat(this.filePath)).mtimeMs;
+    }
+  }
+
+  // Pick up edits made to the file by hand or by a previous run
+  async refresh() {
+    await this.init();
+    const { mtimeMs } = await fs.promises.stat(this.filePath);
+    if (mtimeMs !== this.lastModified) {
+      await this.load();
+    }
+  }
+
+  // Writes share one temp file, so run them one at a time
+  persist() {
+    const write = (this.writing || Promise.resolve()).then(() => this.write());
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  async write() {
+    const latestVersion = migrations[migrations.length - 1].version;
+    const document = {
+      version: latestVersion,
+      users: Array.from(this.users.values()),
+      roleRequests: Array.from(this.roleRequests.values()),
+      invitations: Array.from(this.invitations.values()),
+    };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(document, null, 2));
+    await fs.promises.rename(tempPath, this.filePath);
+
+    this.lastModified = (await fs.promises.stat(this.filePath)).mtimeMs;
+  }
+
+  // Round-trip through JSON so records look the same before and after a reload
+  normalize(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  async create(user) {
+    await this.refresh();
+    const created = await super.create(this.normalize(user));
+    await this.persist();
+    return created;
+  }
+
+  async findById(id) {
+    await this.refresh();
+    return super.findById(id);
+  }
+
+  async findByUsername(username) {
+    await this.refresh();
+    return super.findByUsername(username);
+  }
+
+  async findByEmail(email) {
+    await this.refresh();
+    return super.findByEmail(email);
+  }
+
+  async findByPasswordResetToken(tokenHash) {
+    await this.refresh();
+    return super.findByPasswordResetToken(tokenHash);
+  }
+
+  async findByApiKeyPrefix(prefix) {
+    await this.refresh();
+    return super.findByApiKeyPrefix(prefix);
+  }
+
+  async update(id, updates) {
+    await this.refresh();
+    const updated = await super.update(id, this.normalize(updates));
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async updateWith(id, change) {
+    await this.refresh();
+    const updated = await super.updateWith(id, (user) => {
+      const updates = change(user);
+      return updates && this.normalize(updates);
+    });
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async delete(id) {
+    await this.refresh();
+    const deleted = await super.delete(id);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  async list() {
+    await this.refresh();
+    return super.list();
+  }
+
+  async createRoleRequest(request) {
+    await this.refresh();
+    const created = await super.createRoleRequest(this.normalize(request));
+    await this.persist();
+    return created;
+  }
+
+  async findRoleRequestById(id) {
+    await this.refresh();
+    return super.findRoleRequestById(id);
+  }
+
+  async updateRoleRequest(id, updates) {
+    await this.refresh();
+    const updated = await super.updateRoleRequest(id, this.normalize(updates));
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async listRoleRequests(filter) {
+    await this.refresh();
+    return super.listRoleRequests(filter);
+  }
+
+  async createInvitation(invitation) {
+    await this.refresh();
+    const created = await super.createInvitation(this.normalize(invitation));
+    await this.persist();
+    return created;
+  }
+
+  async findInvitationById(id) {
+    await this.refresh();
+    return super.findInvitationById(id);
+  }
+
+  async findInvitationByTokenHash(tokenHash) {
+    await this.refresh();
+    return super.findInvitationByTokenHash(tokenHash);
+  }
+
+  async updateInvitation(id, updates) {
+    await this.refresh();
+    const updated = await super.updateInvitation(id, this.normalize(updates));
+    if (updated) await this.persist();
+    return updated;
+  }
+
+  async claimInvitation(id, tokenHash, updates) {
+    await this.refresh();
+    const claimed = await super.claimInvitation(
+      id,
+      tokenHash,
+      this.normalize(updates)
+    );
+    if (claimed) await this.persist();
+    return claimed;
+  }
+
+  async listInvitations(filter) {
+    await this.refresh();
+    return super.listInvitations(filter);
+  }
+}
+
+module.exports = JsonFileUserRepository;
@@ -0,0 +1,207 @@
+const UserRepository = require("./UserRepository");
+
+/**
+ * In-memory user repository
+ * Records live in a Map keyed by id, with secondary Map indexes for
+ * username, email and API key prefix lookups. Data is lost on restart.
+ */
+class MemoryUserRepository extends UserRepository {
+  constructor() {
+    super();
+    this.users = new Map();
+    this.usernameIndex = new Map();
+    this.emailIndex = new Map();
+    this.apiKeyIndex = new Map();
+    this.roleRequests = new Map();
+    this.invitations = new Map();
+  }
+
+  async create(user) {
+    this.assertUnique(user);
+    this.users.set(user.id, { ...user });
+    this.index(user);
+    return { ...user };
+  }
+
+  async findById(id) {
+    return this.copy(this.users.get(id));
+  }
+
+  async findByUsername(username) {
+    return this.copy(this.users.get(this.usernameIndex.get(username)));
+  }
+
+  async findByEmail(email) {
+    return this.copy(this.users.get(this.emailIndex.get(email)));
+  }
+
+  async findByPasswordResetToken(tokenHash) {
+    for (const user of this.users.values()) {
+      if (tokenHash && user.passwordResetTokenHash === tokenHash) {
+        return this.copy(user);
+      }
+    }
+    return null;
+  }
+
+  async findByApiKeyPrefix(prefix) {
+    return this.copy(this.users.get(this.apiKeyIndex.get(prefix)));
+  }
+
+  async update(id, updates) {
+    const user = this.users.get(id);
+    if (!user) return null;
+
+    return this.replace(user, updates);
+  }
+
+  // No await between reading the record and writing it back
+  async updateWith(id, change) {
+    const user = this.users.get(id);
+    if (!user) return null;
+
+    const updates = change(this.copy(user));
+    if (!updates) return null;
+
+    return this.replace(user, updates);
+  }
+
+  async delete(id) {
+    const user = this.users.get(id);
+    if (!user) return false;
+
+    this.unindex(user);
+    return this.users.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.users.values()).map((user) => ({ ...user }));
+  }
+
+  async createRoleRequest(request) {
+    this.roleRequests.set(request.id, { ...request });
+    return { ...request };
+  }
+
+  async findRoleRequestById(id) {
+    return this.copy(this.roleRequests.get(id));
+  }
+
+  async updateRoleRequest(id, updates) {
+    const request = this.roleRequests.get(id);
+    if (!request) return null;
+
+    const updatedRequest = { ...request, ...updates, id };
+    this.roleRequests.set(id, updatedRequest);
+    return { ...updatedRequest };
+  }
+
+  async listRoleRequests({ status, userId } = {}) {
+    return Array.from(this.roleRequests.values())
+      .filter(
+        (request) =>
+          (!status || request.status === status) &&
+          (!userId || request.userId === userId)
+      )
+      .map((request) => ({ ...request }));
+  }
+
+  async createInvitation(invitation) {
+    this.invitations.set(invitation.id, { ...invitation });
+    return { ...invitation };
+  }
+
+  async findInvitationById(id) {
+    return this.copy(this.invitations.get(id));
+  }
+
+  async findInvitationByTokenHash(tokenHash) {
+    for (const invitation of this.invitations.values()) {
+      if (tokenHash && invitation.tokenHash === tokenHash) {
+        return this.copy(invitation);
+      }
+    }
+    return null;
+  }
+
+  async updateInvitation(id, updates) {
+    const invitation = this.invitations.get(id);
+    if (!invitation) return null;
+
+    const updatedInvitation = { ...invitation, ...updates, id };
+    this.invitations.set(id, updatedInvitation);
+    return { ...updatedInvitation };
+  }
+
+  async claimInvitation(id, tokenHash, updates) {
+    const invitation = this.invitations.get(id);
+    if (
+      !invitation ||
+      invitation.status !== "pending" ||
+      invitation.tokenHash !== tokenHash
+    ) {
+      return null;
+    }
+
+    // Not this.updateInvitation(): subclasses override it with async work
+    const updatedInvitation = { ...invitation, ...updates, id };
+    this.invitations.set(id, updatedInvitation);
+    return { ...updatedInvitation };
+  }
+
+  async listInvitations({ status, email } = {}) {
+    return Array.from(this.invitations.values())
+      .filter(
+        (invitation) =>
+          (!status || invitation.status === status) &&
+          (!email || invitation.email === email)
+      )
+      .map((invitation) => ({ ...invitation }));
+  }
+
+  // Synchronous, so updateWith() reads and writes without a gap
+  replace(user, updates) {
+    const updatedUser = { ...user, ...updates, id: user.id };
+    this.assertUnique(updatedUser);
+
+    this.unindex(user);
+    this.users.set(user.id, updatedUser);
+    this.index(updatedUser);
+    return { ...updatedUser };
+  }
+
+  // Hand out copies so callers cannot mutate stored records
+  copy(user) {
+    return user ? { ...user } : null;
+  }
+
+  assertUnique(user) {
+    const usernameOwner = this.usernameIndex.get(user.username);
+    if (usernameOwner && usernameOwner !== user.id) {
+      throw new Error("Username already exists");
+    }
+
+    const emailOwner = this.emailIndex.get(user.email);
+    if (emailOwner && emailOwner !== user.id) {
+      throw new Error("Email already exists");
+    }
+  }
+
+  index(user) {
+    this.usernameIndex.set(user.username, user.id);
+    this.emailIndex.set(user.email, user.id);
+    for (const apiKey of user.apiKeys || []) {
+      this.apiKeyIndex.set(apiKey.prefix, user.id);
+    }
+  }
+
+  unindex(user) {
+    this.usernameIndex.delete(user.username);
+    this.emailIndex.delete(user.email);
+    for (const apiKey of user.apiKeys || []) {
+      this.apiKeyIndex.delete(apiKey.prefix);
+    }
+  }
+}
+
+module.exports = MemoryUserRepository;
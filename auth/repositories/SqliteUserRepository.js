@@ -0,0 +1,391 @@
+const fs = require("fs");
+const path = require("path");
+const UserRepository = require("./UserRepository");
+const migrations = require("./migrations").sqlite;
+
+/**
+ * SQLite user repository (better-sqlite3)
+ * The full record is stored as JSON in the data column; the fields we look
+ * users up by are copied into their own indexed columns, and API key
+ * prefixes into the api_keys table. WAL mode lets
+ * several processes (cluster workers) share the same database file.
+ */
+class SqliteUserRepository extends UserRepository {
+  constructor(options = {}) {
+    super();
+    this.filePath =
+      options.filePath || process.env.USER_STORE_PATH || "./data/users.db";
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    // Optional dependency - only needed when USER_STORE=sqlite
+    const Database = require("better-sqlite3");
+
+    if (this.filePath !== ":memory:") {
+      fs.mkdirSync(path.dirname(path.resolve(this.filePath)), {
+        recursive: true,
+      });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma("journal_mode = WAL");
+    this.migrate();
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const { version: current } = this.db
+      .prepare(
+        "SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations"
+      )
+      .get();
+
+    const record = this.db.prepare(
+      "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)"
+    );
+
+    for (const migration of migrations.filter((m) => m.version > current)) {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+      console.log(
+        `User store migrated to v${migration.version} (${migration.name})`
+      );
+    }
+  }
+
+  toRow(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      data: JSON.stringify(user),
+      created_at: new Date(user.createdAt || Date.now()).toISOString(),
+      updated_at: user.updatedAt
+        ? new Date(user.updatedAt).toISOString()
+        : null,
+      password_reset_token_hash: user.passwordResetTokenHash || null,
+    };
+  }
+
+  fromRow(row) {
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Turn SQLite constraint errors into the same errors the other stores throw
+  translateError(error) {
+    if (error.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      if (error.message.includes("users.username")) {
+        return new Error("Username already exists");
+      }
+      if (error.message.includes("users.email")) {
+        return new Error("Email already exists");
+      }
+    }
+    return error;
+  }
+
+  // Keep the api_keys lookup table in step with the user's keys
+  syncApiKeys(user) {
+    this.db.prepare("DELETE FROM api_keys WHERE user_id = ?").run(user.id);
+    const insert = this.db.prepare(
+      "INSERT INTO api_keys (prefix, user_id) VALUES (?, ?)"
+    );
+    for (const apiKey of user.apiKeys || []) {
+      insert.run(apiKey.prefix, user.id);
+    }
+  }
+
+  async create(user) {
+    await this.init();
+    try {
+      this.db.transaction(() => {
+        this.db
+          .prepare(
+            `INSERT INTO users (id, username, email, data, created_at, updated_at, password_reset_token_hash)
+             VALUES (@id, @username, @email, @data, @created_at, @updated_at, @password_reset_token_hash)`
+          )
+          .run(this.toRow(user));
+        this.syncApiKeys(user);
+      })();
+    } catch (error) {
+      throw this.translateError(error);
+    }
+    return this.findById(user.id);
+  }
+
+  async findById(id) {
+    await this.init();
+    return this.fromRow(
+      this.db.prepare("SELECT data FROM users WHERE id = ?").get(id)
+    );
+  }
+
+  async findByUsername(username) {
+    await this.init();
+    return this.fromRow(
+      this.db.prepare("SELECT data FROM users WHERE username = ?").get(username)
+    );
+  }
+
+  async findByEmail(email) {
+    await this.init();
+    return this.fromRow(
+      this.db.prepare("SELECT data FROM users WHERE email = ?").get(email)
+    );
+  }
+
+  async findByPasswordResetToken(tokenHash) {
+    await this.init();
+    if (!tokenHash) return null;
+    return this.fromRow(
+      this.db
+        .prepare("SELECT data FROM users WHERE password_reset_token_hash = ?")
+        .get(tokenHash)
+    );
+  }
+
+  async findByApiKeyPrefix(prefix) {
+    await this.init();
+    return this.fromRow(
+      this.db
+        .prepare(
+          `SELECT users.data FROM api_keys
+           JOIN users ON users.id = api_keys.user_id
+           WHERE api_keys.prefix = ?`
+        )
+        .get(prefix)
+    );
+  }
+
+  // Read and written in one transaction, see updateWith()
+  async update(id, updates) {
+    return this.updateWith(id, () => updates);
+  }
+
+  // An immediate transaction takes the write lock before the read, so other
+  // processes cannot change the row in between
+  async updateWith(id, change) {
+    await this.init();
+
+    try {
+      return this.db
+        .transaction(() => {
+          const user = this.fromRow(
+            this.db.prepare("SELECT data FROM users WHERE id = ?").get(id)
+          );
+          if (!user) return null;
+
+          const updates = change(user);
+          if (!updates) return null;
+
+          const updatedUser = JSON.parse(
+            JSON.stringify({ ...user, ...updates, id })
+          );
+          this.db
+            .prepare(
+              `UPDATE users
+               SET username = @username, email = @email, data = @data,
+                   updated_at = @updated_at,
+                   password_reset_token_hash = @password_reset_token_hash
+               WHERE id = @id`
+            )
+            .run(this.toRow(updatedUser));
+          if (updates.apiKeys) {
+            this.syncApiKeys(updatedUser);
+          }
+          return updatedUser;
+        })
+        .immediate();
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  async delete(id) {
+    await this.init();
+    return this.db.transaction(() => {
+      this.db.prepare("DELETE FROM api_keys WHERE user_id = ?").run(id);
+      return (
+        this.db.prepare("DELETE FROM users WHERE id = ?").run(id).changes > 0
+      );
+    })();
+  }
+
+  async list() {
+    await this.init();
+    return this.db
+      .prepare("SELECT data FROM users ORDER BY created_at")
+      .all()
+      .map((row) => this.fromRow(row));
+  }
+
+  async createRoleRequest(request) {
+    await this.init();
+    const stored = JSON.parse(JSON.stringify(request));
+    this.db
+      .prepare(
+        `INSERT INTO role_requests (id, user_id, status, data, created_at)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .run(
+        stored.id,
+        stored.userId,
+        stored.status,
+        JSON.stringify(stored),
+        stored.requestedAt
+      );
+    return stored;
+  }
+
+  async findRoleRequestById(id) {
+    await this.init();
+    return this.fromRow(
+      this.db.prepare("SELECT data FROM role_requests WHERE id = ?").get(id)
+    );
+  }
+
+  async updateRoleRequest(id, updates) {
+    await this.init();
+
+    const request = await this.findRoleRequestById(id);
+    if (!request) return null;
+
+    const updatedRequest = JSON.parse(
+      JSON.stringify({ ...request, ...updates, id })
+    );
+    this.db
+      .prepare("UPDATE role_requests SET status = ?, data = ? WHERE id = ?")
+      .run(updatedRequest.status, JSON.stringify(updatedRequest), id);
+    return updatedRequest;
+  }
+
+  async listRoleRequests({ status, userId } = {}) {
+    await this.init();
+    return this.db
+      .prepare(
+        `SELECT data FROM role_requests
+         WHERE (@status IS NULL OR status = @status)
+           AND (@userId IS NULL OR user_id = @userId)
+         ORDER BY created_at`
+      )
+      .all({ status: status || null, userId: userId || null })
+      .map((row) => this.fromRow(row));
+  }
+
+  async createInvitation(invitation) {
+    await this.init();
+    const stored = JSON.parse(JSON.stringify(invitation));
+    this.db
+      .prepare(
+        `INSERT INTO invitations (id, email, status, token_hash, data, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        stored.id,
+        stored.email,
+        stored.status,
+        stored.tokenHash || null,
+        JSON.stringify(stored),
+        stored.createdAt
+      );
+    return stored;
+  }
+
+  async findInvitationById(id) {
+    await this.init();
+    return this.fromRow(
+      this.db.prepare("SELECT data FROM invitations WHERE id = ?").get(id)
+    );
+  }
+
+  async findInvitationByTokenHash(tokenHash) {
+    await this.init();
+    if (!tokenHash) return null;
+    return this.fromRow(
+      this.db
+        .prepare("SELECT data FROM invitations WHERE token_hash = ?")
+        .get(tokenHash)
+    );
+  }
+
+  async updateInvitation(id, updates) {
+    await this.init();
+
+    const invitation = await this.findInvitationById(id);
+    if (!invitation) return null;
+
+    const updatedInvitation = JSON.parse(
+      JSON.stringify({ ...invitation, ...updates, id })
+    );
+    this.db
+      .prepare(
+        "UPDATE invitations SET status = ?, token_hash = ?, data = ? WHERE id = ?"
+      )
+      .run(
+        updatedInvitation.status,
+        updatedInvitation.tokenHash || null,
+        JSON.stringify(updatedInvitation),
+        id
+      );
+    return updatedInvitation;
+  }
+
+  // The WHERE clause does the check, so two claims cannot both succeed
+  async claimInvitation(id, tokenHash, updates) {
+    await this.init();
+
+    const invitation = await this.findInvitationById(id);
+    if (!invitation || !tokenHash) return null;
+
+    const updatedInvitation = JSON.parse(
+      JSON.stringify({ ...invitation, ...updates, id })
+    );
+    const { changes } = this.db
+      .prepare(
+        `UPDATE invitations SET status = ?, token_hash = ?, data = ?
+         WHERE id = ? AND token_hash = ? AND status = 'pending'`
+      )
+      .run(
+        updatedInvitation.status,
+        updatedInvitation.tokenHash || null,
+        JSON.stringify(updatedInvitation),
+        id,
+        tokenHash
+      );
+    return changes === 1 ? updatedInvitation : null;
+  }
+
+  async listInvitations({ status, email } = {}) {
+    await this.init();
+    return this.db
+      .prepare(
+        `SELECT data FROM invitations
+         WHERE (@status IS NULL OR status = @status)
+           AND (@email IS NULL OR email = @email)
+         ORDER BY created_at`
+      )
+      .all({ status: status || null, email: email || null })
+      .map((row) => this.fromRow(row));
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteUserRepository;
@@ -0,0 +1,129 @@
+/**
+ * User repository interface
+ * Storage for user records lives behind this interface so the backing store
+ * (memory, JSON file, SQLite, ...) can be swapped without touching callers.
+ *
+ * Records are plain objects; every method is async.
+ *   init()                              -> prepare storage, run migrations
+ *   create(user)                        -> stored user; rejects duplicates
+ *   findById(id)                        -> user or null
+ *   findByUsername(username)            -> user or null (indexed)
+ *   findByEmail(email)                  -> user or null (indexed)
+ *   findByPasswordResetToken(tokenHash) -> user or null
+ *   findByApiKeyPrefix(prefix)          -> owner of the API key or null (indexed)
+ *   update(id, updates)                 -> updated user or null
+ *   updateWith(id, change)              -> change(user) returns the updates
+ *                                          for the current record, or null to
+ *                                          leave it alone; read and write
+ *                                          happen in one step, so change must
+ *                                          be synchronous. Updated user or null
+ *   delete(id)                          -> true if a user was removed
+ *   list()                              -> all users
+ *
+ * Role change requests are kept in the same store:
+ *   createRoleRequest(request)          -> stored request
+ *   findRoleRequestById(id)             -> request or null
+ *   updateRoleRequest(id, updates)      -> updated request or null
+ *   listRoleRequests({ status, userId }) -> matching requests, oldest first
+ *
+ * And so are invitations:
+ *   createInvitation(invitation)        -> stored invitation
+ *   findInvitationById(id)              -> invitation or null
+ *   findInvitationByTokenHash(hash)     -> invitation or null
+ *   updateInvitation(id, updates)       -> updated invitation or null
+ *   claimInvitation(id, tokenHash, updates)
+ *                                       -> updated invitation, or null unless
+ *                                          it was still pending with that
+ *                                          token; checked and written in one
+ *                                          step so only one caller can win
+ *   listInvitations({ status, email })  -> matching invitations, oldest first
+ */
+class UserRepository {
+  async init() {}
+
+  async create(user) {
+    throw new Error("UserRepository.create() not implemented");
+  }
+
+  async findById(id) {
+    throw new Error("UserRepository.findById() not implemented");
+  }
+
+  async findByUsername(username) {
+    throw new Error("UserRepository.findByUsername() not implemented");
+  }
+
+  async findByEmail(email) {
+    throw new Error("UserRepository.findByEmail() not implemented");
+  }
+
+  async findByPasswordResetToken(tokenHash) {
+    throw new Error(
+      "UserRepository.findByPasswordResetToken() not implemented"
+    );
+  }
+
+  async findByApiKeyPrefix(prefix) {
+    throw new Error("UserRepository.findByApiKeyPrefix() not implemented");
+  }
+
+  async update(id, updates) {
+    throw new Error("UserRepository.update() not implemented");
+  }
+
+  async updateWith(id, change) {
+    throw new Error("UserRepository.updateWith() not implemented");
+  }
+
+  async delete(id) {
+    throw new Error("UserRepository.delete() not implemented");
+  }
+
+  async list() {
+    throw new Error("UserRepository.list() not implemented");
+  }
+
+  async createRoleRequest(request) {
+    throw new Error("UserRepository.createRoleRequest() not implemented");
+  }
+
+  async findRoleRequestById(id) {
+    throw new Error("UserRepository.findRoleRequestById() not implemented");
+  }
+
+  async updateRoleRequest(id, updates) {
+    throw new Error("UserRepository.updateRoleRequest() not implemented");
+  }
+
+  async listRoleRequests(filter = {}) {
+    throw new Error("UserRepository.listRoleRequests() not implemented");
+  }
+
+  async createInvitation(invitation) {
+    throw new Error("UserRepository.createInvitation() not implemented");
+  }
+
+  async findInvitationById(id) {
+    throw new Error("UserRepository.findInvitationById() not implemented");
+  }
+
+  async findInvitationByTokenHash(tokenHash) {
+    throw new Error(
+      "UserRepository.findInvitationByTokenHash() not implemented"
+    );
+  }
+
+  async updateInvitation(id, updates) {
+    throw new Error("UserRepository.updateInvitation() not implemented");
+  }
+
+  async claimInvitation(id, tokenHash, updates) {
+    throw new Error("UserRepository.claimInvitation() not implemented");
+  }
+
+  async listInvitations(filter = {}) {
+    throw new Error("UserRepository.listInvitations() not implemented");
+  }
+}
+
+module.exports = UserRepository;
@@ -0,0 +1,28 @@
+const UserRepository = require("./UserRepository");
+const MemoryUserRepository = require("./MemoryUserRepository");
+const JsonFileUserRepository = require("./JsonFileUserRepository");
+const SqliteUserRepository = require("./SqliteUserRepository");
+
+/**
+ * Factory - picks the implementation from USER_STORE (memory | json | sqlite)
+ */
+function createUserRepository(type = process.env.USER_STORE || "memory") {
+  switch (type) {
+    case "memory":
+      return new MemoryUserRepository();
+    case "json":
+      return new JsonFileUserRepository();
+    case "sqlite":
+      return new SqliteUserRepository();
+    default:
+      throw new Error(`Unknown user store: ${type}`);
+  }
+}
+
+module.exports = {
+  UserRepository,
+  MemoryUserRepository,
+  JsonFileUserRepository,
+  SqliteUserRepository,
+  createUserRepository,
+};
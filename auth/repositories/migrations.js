@@ -0,0 +1,99 @@
+/**
+ * Schema migrations for the persistent user repositories
+ * Migrations run in order on init(); the applied version is recorded in the
+ * store itself so each one runs exactly once. Never edit a released
+ * migration - add a new one with the next version number.
+ */
+
+// SQLite: each migration is a SQL script run inside a transaction
+const sqlite = [
+  {
+    version: 1,
+    name: "create_users",
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        email TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+      );
+      CREATE UNIQUE INDEX idx_users_username ON users (username);
+      CREATE UNIQUE INDEX idx_users_email ON users (email);
+    `,
+  },
+  {
+    version: 2,
+    name: "index_password_reset_token",
+    up: `
+      ALTER TABLE users ADD COLUMN password_reset_token_hash TEXT;
+      CREATE INDEX idx_users_password_reset_token_hash
+        ON users (password_reset_token_hash);
+    `,
+  },
+  {
+    version: 3,
+    name: "create_api_keys",
+    up: `
+      CREATE TABLE api_keys (
+        prefix TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL
+      );
+      CREATE INDEX idx_api_keys_user_id ON api_keys (user_id);
+    `,
+  },
+  {
+    version: 4,
+    name: "create_role_requests",
+    up: `
+      CREATE TABLE role_requests (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_role_requests_status ON role_requests (status);
+      CREATE INDEX idx_role_requests_user_id ON role_requests (user_id);
+    `,
+  },
+  {
+    version: 5,
+    name: "create_invitations",
+    up: `
+      CREATE TABLE invitations (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        status TEXT NOT NULL,
+        token_hash TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_invitations_status ON invitations (status);
+      CREATE INDEX idx_invitations_email ON invitations (email);
+      CREATE UNIQUE INDEX idx_invitations_token_hash ON invitations (token_hash);
+    `,
+  },
+];
+
+// JSON file: each migration transforms the parsed document
+const json = [
+  {
+    version: 1,
+    name: "create_users",
+    up: (document) => ({ ...document, users: document.users || [] }),
+  },
+  {
+    version: 2,
+    name: "add_role_requests",
+    up: (document) => ({ ...document, roleRequests: [] }),
+  },
+  {
+    version: 3,
+    name: "add_invitations",
+    up: (document) => ({ ...document, invitations: [] }),
+  },
+];
+
+module.exports = { sqlite, json };
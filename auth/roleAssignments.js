@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const User = require("./User");
+const authEvents = require("./authEvents");
+const { roleRegistry } = require("./rbac");
+
+class RoleRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RoleRequestError";
+    this.status = status;
+  }
+}
+
+/**
+ * Role assignment workflow
+ * Every role change is recorded as a role request. With two-person approval
+ * (REQUIRE_ROLE_APPROVAL=true) a request stays pending until a second
+ * administrator approves or rejects it; otherwise it is approved and
+ * applied as soon as it is made.
+ *
+ * Only role *assignments* go through this workflow. Editing a role
+ * definition (PUT /api/admin/roles/:role) takes effect at once, so an
+ * administrator with roles:write can widen a role that is already assigned
+ * without a second approval; such edits emit role.definition_changed.
+ *
+ * Request: { id, userId, username, fromRole, toRole, reason, status,
+ *            requestedBy, requestedAt, decidedBy, decidedAt, decisionReason }
+ * status: pending | approved | rejected
+ */
+class RoleAssignmentService {
+  constructor(options = {}) {
+    this.requireApproval =
+      options.requireApproval ?? process.env.REQUIRE_ROLE_APPROVAL === "true";
+  }
+
+  async requestRoleChange({ userId, role, requestedBy, reason = "" }) {
+    if (userId === requestedBy) {
+      throw new RoleRequestError("You cannot change your own role", 403);
+    }
+
+    if (!roleRegistry.hasRole(role)) {
+      throw new RoleRequestError(`Unknown role: ${role}`);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new RoleRequestError("User not found", 404);
+    }
+
+    if (user.role === role) {
+      throw new RoleRequestError(`User already has the ${role} role`, 409);
+    }
+
+    const pending = await User.listRoleRequests({ userId, status: "pending" });
+    if (pending.length > 0) {
+      throw new RoleRequestError(
+        "User already has a pending role request",
+        409
+      );
+    }
+
+    const request = await User.createRoleRequest({
+      id: crypto.randomUUID(),
+      userId,
+      username: user.username,
+      fromRole: user.role,
+      toRole: role,
+      reason,
+      status: "pending",
+      requestedBy,
+      requestedAt: new Date(),
+      decidedBy: null,
+      decidedAt: null,
+      decisionReason: null,
+    });
+
+    authEvents.emit("role.requested", {
+      requestId: request.id,
+      userId,
+      fromRole: request.fromRole,
+      toRole: role,
+      requestedBy,
+    });
+
+    if (this.requireApproval) {
+      return request;
+    }
+
+    return this.applyDecision(request, requestedBy, "approved", reason);
+  }
+
+  async approve(requestId, approverId, reason = "") {
+    const request = await this.getPendingRequest(requestId, approverId);
+    return this.applyDecision(request, approverId, "approved", reason);
+  }
+
+  async reject(requestId, approverId, reason = "") {
+    const request = await this.getPendingRequest(requestId, approverId);
+    return this.applyDecision(request, approverId, "rejected", reason);
+  }
+
+  async getRequest(requestId) {
+    return User.findRoleRequestById(requestId);
+  }
+
+  async listRequests(filter = {}) {
+    return User.listRoleRequests(filter);
+  }
+
+  async getPendingRequest(requestId, approverId) {
+    const request = await User.findRoleRequestById(requestId);
+    if (!request) {
+      throw new RoleRequestError("Role request not found", 404);
+    }
+
+    if (request.status !== "pending") {
+      throw new RoleRequestError(
+        `Role request is already ${request.status}`,
+        409
+      );
+    }
+
+    // Two-person rule: the requester and the target cannot decide
+    if (approverId === request.requestedBy) {
+      throw new RoleRequestError(
+        "A role request must be decided by a different administrator",
+        403
+      );
+    }
+    if (approverId === request.userId) {
+      throw new RoleRequestError(
+        "You cannot decide your own role request",
+        403
+      );
+    }
+
+    return request;
+  }
+
+  async applyDecision(request, decidedBy, status, decisionReason) {
+    if (status === "approved") {
+      // The role may have been deleted while the request was pending
+      if (!roleRegistry.hasRole(request.toRole)) {
+        throw new RoleRequestError(`Unknown role: ${request.toRole}`, 409);
+      }
+
+      const user = await User.updateUser(request.userId, {
+        role: request.toRole,
+      });
+      if (!user) {
+        throw new RoleRequestError("User not found", 404);
+      }
+
+      // Tokens carry the role, so make the user sign in again
+      await User.incrementTokenVersion(request.userId);
+    }
+
+    const decided = await User.updateRoleRequest(request.id, {
+      status,
+      decidedBy,
+      decidedAt: new Date(),
+      decisionReason,
+    });
+
+    authEvents.emit(`role.${status}`, {
+      requestId: decided.id,
+      userId: decided.userId,
+      fromRole: decided.fromRole,
+      toRole: decided.toRole,
+      requestedBy: decided.requestedBy,
+      decidedBy,
+    });
+
+    return decided;
+  }
+}
+
+const roleAssignments = new RoleAssignmentService();
+
+module.exports = { RoleAssignmentService, RoleRequestError, roleAssignments };
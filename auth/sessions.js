@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const JWTService = require("./jwt");
+const { tokenStore } = require("./TokenStore");
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\//, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const OPERATING_SYSTEMS = [
+  [/iPhone|iPad/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+/**
+ * Short, human readable device name from a User-Agent header,
+ * e.g. "Chrome on macOS" or "curl/8.4.0"
+ */
+const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser[1]} on ${os[1]}`;
+  if (browser || os) return (browser || os)[1];
+  return userAgent.split(" ")[0] || "Unknown device";
+};
+
+/**
+ * Login sessions
+ * A session starts at login and lives as long as its refresh token family
+ * (the session id is the family id, and access tokens carry it as `sid`).
+ * Refreshing extends it; revoking it kills the family, so neither its
+ * access nor its refresh tokens work any more.
+ *
+ * Stored in the token store:
+ *   session:<id>            { id, userId, device, userAgent, ip, amr, tv,
+ *                             createdAt, lastSeenAt, expiresAt }
+ *   sessions:user:<userId>  set of session ids
+ */
+class SessionService {
+  constructor(options = {}) {
+    this.store = options.store || tokenStore;
+    // Avoid a store write on every request just to bump lastSeenAt
+    this.lastSeenResolutionMs = options.lastSeenResolutionMs || 60 * 1000;
+  }
+
+  clientInfo(req) {
+    const userAgent = req.get("user-agent") || "";
+    return { ip: req.ip, userAgent, device: describeDevice(userAgent) };
+  }
+
+  /**
+   * Record a new session for a successful login and issue its tokens
+   */
+  async start(user, req, options = {}) {
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      ...this.clientInfo(req),
+      amr: options.amr || ["pwd"],
+      tv: user.tokenVersion || 0,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + JWTService.refreshTokenTtl * 1000),
+    };
+
+    await this.save(session);
+    await this.addToIndex(user.id, session.id);
+
+    return JWTService.generateTokenPair(user, {
+      family: session.id,
+      amr: session.amr,
+    });
+  }
+
+  /**
+   * Continue a session with a refreshed token pair
+   * Returns null if the session has been revoked or has expired.
+   */
+  async refresh(user, sessionId, req) {
+    const session = await this.get(sessionId);
+    if (!session || session.userId !== user.id) {
+      return null;
+    }
+
+    // Revoked while we were reading it
+    const now = new Date();
+    const saved = await this.saveIfPresent({
+      ...session,
+      ...this.clientInfo(req),
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + JWTService.refreshTokenTtl * 1000),
+    });
+    if (!saved) return null;
+
+    // The session now outlives the index's ttl, so renew that too
+    await this.addToIndex(user.id, session.id);
+
+    return JWTService.generateTokenPair(user, {
+      family: session.id,
+      amr: session.amr,
+    });
+  }
+
+  async get(sessionId) {
+    if (!sessionId) return null;
+    return this.store.get(`session:${sessionId}`);
+  }
+
+  /**
+   * Note activity on a session, at most once per lastSeenResolutionMs
+   */
+  async touch(session, req) {
+    const lastSeen = new Date(session.lastSeenAt).getTime();
+    if (Date.now() - lastSeen < this.lastSeenResolutionMs) return;
+
+    // The session was read earlier; if it has been revoked since, leave it gone
+    await this.saveIfPresent({
+      ...session,
+      ...this.clientInfo(req),
+      lastSeenAt: new Date(),
+    });
+  }
+
+  /**
+   * Active sessions for a user, most recently used first
+   * Sessions from before a "log out everywhere" (older token version) are
+   * dropped, along with index entries whose session has expired.
+   */
+  async list(user) {
+    const ids = await this.store.members(`sessions:user:${user.id}`);
+    const sessions = [];
+
+    for (const id of ids) {
+      const session = await this.get(id);
+      if (session && session.tv === (user.tokenVersion || 0)) {
+        sessions.push(session);
+      } else {
+        await this.store.removeMember(`sessions:user:${user.id}`, id);
+      }
+    }
+
+    return sessions.sort(
+      (a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt)
+    );
+  }
+
+  /**
+   * End one of the user's sessions; false if it is not theirs or not found
+   */
+  async revoke(userId, sessionId) {
+    const session = await this.get(sessionId);
+    if (!session || session.userId !== userId) {
+      return false;
+    }
+
+    await JWTService.revokeFamily(sessionId);
+    await this.store.delete(`session:${sessionId}`);
+
+    await this.store.removeMember(`sessions:user:${userId}`, sessionId);
+    return true;
+  }
+
+  // Member by member, so a session started meanwhile stays in the index
+  async revokeAll(userId) {
+    const ids = await this.store.members(`sessions:user:${userId}`);
+    for (const id of ids) {
+      await JWTService.revokeFamily(id);
+      await this.store.delete(`session:${id}`);
+      await this.store.removeMember(`sessions:user:${userId}`, id);
+    }
+  }
+
+  async save(session) {
+    await this.store.set(`session:${session.id}`, session, this.ttl(session));
+  }
+
+  // Only overwrites a session that still exists; false if it does not
+  async saveIfPresent(session) {
+    return this.store.setIfPresent(
+      `session:${session.id}`,
+      session,
+      this.ttl(session)
+    );
+  }
+
+  ttl(session) {
+    return JWTService.secondsUntil(
+      Math.floor(new Date(session.expiresAt).getTime() / 1000)
+    );
+  }
+
+  async addToIndex(userId, sessionId) {
+    // The index never needs to outlive the newest session in it
+    await this.store.addMember(
+      `sessions:user:${userId}`,
+      sessionId,
+      JWTService.refreshTokenTtl
+    );
+  }
+}
+
+const sessionService = new SessionService();
+
+module.exports = { SessionService, sessionService, describeDevice };
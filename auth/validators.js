@@ -1,4 +1,17 @@
-const { body } = require("express-validator");
+const { body, param } = require("express-validator");
+
+// Strength rules live in auth/passwordPolicy.js, which the controllers
+// apply once they know whose password it is
+const passwordRules = (field, label) =>
+  body(field).isString().notEmpty().withMessage(`${label} is required`);
+
+const confirmPasswordRule = () =>
+  body("confirmPassword").custom((value, { req }) => {
+    if (value !== req.body.newPassword) {
+      throw new Error("Password confirmation does not match new password");
+    }
+    return true;
+  });
 
 const registerValidation = [
   body("username")
@@ -12,18 +25,13 @@ const registerValidation = [
     .withMessage("Please provide a valid email address")
     .normalizeEmail(),
 
-  body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters long")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage(
-      "Password must contain at least one lowercase letter, one uppercase letter, and one number"
-    ),
+  passwordRules("password", "Password"),
 
+  // Every account starts as a user; other roles are assigned by an admin
   body("role")
     .optional()
-    .isIn(["user", "admin", "moderator"])
-    .withMessage("Role must be either user, admin, or moderator"),
+    .equals("user")
+    .withMessage("Roles other than user are assigned by an administrator"),
 ];
 
 const loginValidation = [
@@ -45,25 +53,240 @@ const changePasswordValidation = [
     .notEmpty()
     .withMessage("Current password is required"),
 
-  body("newPassword")
-    .isLength({ min: 6 })
-    .withMessage("New password must be at least 6 characters long")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  passwordRules("newPassword", "New password"),
+
+  confirmPasswordRule(),
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+];
+
+const magicLinkValidation = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+];
+
+const consumeMagicLinkValidation = [
+  body("token").isString().notEmpty().withMessage("Token is required"),
+];
+
+const resetPasswordValidation = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+
+  passwordRules("newPassword", "New password"),
+
+  confirmPasswordRule(),
+];
+
+const mfaCodeRule = () =>
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits");
+
+// Either a TOTP code or a recovery code
+const secondFactorRules = () => [
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+
+  body().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+      throw new Error("A verification code or recovery code is required");
+    }
+    return true;
+  }),
+];
+
+const mfaConfirmValidation = [mfaCodeRule()];
+
+const mfaDisableValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  ...secondFactorRules(),
+];
+
+const mfaLoginValidation = [
+  body("mfaToken").notEmpty().withMessage("MFA token is required"),
+
+  ...secondFactorRules(),
+];
+
+const createApiKeyValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+
+  body("scopes")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Scopes must be an array"),
+
+  body("scopes.*")
+    .matches(/^[a-z][a-z0-9:_-]*$/)
+    .withMessage(
+      "Scopes may only contain lowercase letters, numbers, ':', '_' and '-'"
+    ),
+
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("expiresInDays must be between 1 and 365")
+    .toInt(),
+];
+
+const roleDefinitionValidation = [
+  param("role")
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
     .withMessage(
-      "New password must contain at least one lowercase letter, one uppercase letter, and one number"
+      "Role name must be 2-30 lowercase letters, numbers, '_' or '-'"
     ),
 
+  body("description")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Description must be at most 200 characters"),
+
+  body("inherits")
+    .optional()
+    .isArray()
+    .withMessage("inherits must be an array"),
+
+  body("inherits.*").isString().withMessage("inherits must list role names"),
+
+  body("permissions").isArray().withMessage("permissions must be an array"),
+
+  body("permissions.*")
+    .matches(/^(\*|[a-z][a-z0-9_-]*(:([a-z0-9_-]+|\*))*)$/)
+    .withMessage(
+      "Permissions look like resource:action[:scope], e.g. posts:delete:any"
+    ),
+];
+
+const roleAssignmentValidation = [
+  body("role").isString().notEmpty().withMessage("Role is required"),
+
+  body("reason")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+];
+
+const roleRequestDecisionValidation = [
+  body("reason")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Reason must be at most 200 characters"),
+];
+
+const oauthClientValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+
+  body("scopes")
+    .isArray({ min: 1, max: 20 })
+    .withMessage("scopes must list between 1 and 20 scopes"),
+
+  body("scopes.*")
+    .matches(/^[a-z][a-z0-9:_-]*$/)
+    .withMessage(
+      "Scopes may only contain lowercase letters, numbers, ':', '_' and '-'"
+    ),
+];
+
+const impersonationValidation = [
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("A reason of at most 200 characters is required"),
+];
+
+const expiresInDaysRule = () =>
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage("expiresInDays must be between 1 and 30")
+    .toInt();
+
+const invitationValidation = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+
+  body("role")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Role must be a role name"),
+
+  expiresInDaysRule(),
+];
+
+const resendInvitationValidation = [expiresInDaysRule()];
+
+const acceptInvitationValidation = [
+  body("token").isString().notEmpty().withMessage("Token is required"),
+
+  body("username")
+    .isLength({ min: 3, max: 30 })
+    .withMessage("Username must be between 3 and 30 characters")
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage("Username can only contain letters, numbers, and underscores"),
+
+  passwordRules("password", "Password"),
+
   body("confirmPassword").custom((value, { req }) => {
-    if (value !== req.body.newPassword) {
-      throw new Error("Password confirmation does not match new password");
+    if (value !== req.body.password) {
+      throw new Error("Password confirmation does not match password");
     }
     return true;
   }),
 ];
 
+const deleteAccountValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
 module.exports = {
   registerValidation,
   loginValidation,
   updateProfileValidation,
   changePasswordValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  magicLinkValidation,
+  consumeMagicLinkValidation,
+  mfaConfirmValidation,
+  mfaDisableValidation,
+  mfaLoginValidation,
+  createApiKeyValidation,
+  roleDefinitionValidation,
+  roleAssignmentValidation,
+  roleRequestDecisionValidation,
+  impersonationValidation,
+  oauthClientValidation,
+  invitationValidation,
+  resendInvitationValidation,
+  acceptInvitationValidation,
+  deleteAccountValidation,
 };
@@ -9,6 +9,7 @@ class AdvancedCacheStrategies {
     this.metrics = {
       cacheStampedePrevented: 0,
       staleWhileRevalidateHits: 0,
+      staleIfErrorHits: 0,
       circuitBreakerTrips: 0,
     };
   }
@@ -66,14 +67,31 @@ class AdvancedCacheStrategies {
   }
 
   // INTERVIEW CONCEPT: Stale-While-Revalidate Pattern
+  // staleTime is the oldest (in seconds) an entry may be and still be served
+  // while it is refreshed; staleIfError is how long past ttl it may stand in
+  // when loading fresh data fails. Entries are kept long enough for both.
+  // The loader is passed the cached data, if any, and can return undefined
+  // for a result that must not be cached.
   async staleWhileRevalidate(key, dataLoader, options = {}) {
-    const { ttl = 300, staleTime = 600, backgroundRefresh = true } = options;
+    const {
+      ttl = 300,
+      staleTime = 600,
+      staleIfError = 0,
+      backgroundRefresh = true,
+      forceRefresh = false, // Skip the cached copy, but keep it for errors
+      tags = [],
+    } = options;
 
-    const cacheEntry = await this.getCacheEntryWithMetadata(key);
+    const store = (data) =>
+      this.setCacheEntryWithMetadata(key, data, ttl, {
+        keepFor: Math.max(staleTime, ttl + staleIfError),
+        tags,
+      });
 
-    if (cacheEntry) {
-      const age = Date.now() - cacheEntry.timestamp;
+    const cacheEntry = await this.getCacheEntryWithMetadata(key);
+    const age = cacheEntry ? Date.now() - cacheEntry.timestamp : Infinity;
 
+    if (cacheEntry && !forceRefresh) {
       // If data is fresh, return it
       if (age < ttl * 1000) {
         return cacheEntry.data;
@@ -82,14 +100,22 @@ class AdvancedCacheStrategies {
       // If data is stale but within stale time, return stale data
       // and refresh in background
       if (age < staleTime * 1000) {
-        if (backgroundRefresh) {
+        // One refresh per key at a time, however many requests see it stale
+        const refreshKey = `revalidate:${key}`;
+        if (backgroundRefresh && !this.lockManager.has(refreshKey)) {
+          this.lockManager.set(refreshKey, true);
+
           // Refresh in background without waiting
           setImmediate(async () => {
             try {
-              const freshData = await dataLoader();
-              await this.setCacheEntryWithMetadata(key, freshData, ttl);
+              const freshData = await dataLoader(cacheEntry.data);
+              if (freshData !== undefined) {
+                await store(freshData);
+              }
             } catch (error) {
               console.error(`Background refresh failed for ${key}:`, error);
+            } finally {
+              this.lockManager.delete(refreshKey);
             }
           });
         }
@@ -100,8 +126,22 @@ class AdvancedCacheStrategies {
     }
 
     // Data is too stale or doesn't exist, load fresh data
-    const freshData = await dataLoader();
-    await this.setCacheEntryWithMetadata(key, freshData, ttl);
+    let freshData;
+    try {
+      freshData = await dataLoader(cacheEntry ? cacheEntry.data : undefined);
+    } catch (error) {
+      // INTERVIEW CONCEPT: Stale-If-Error
+      // An old answer beats an error page
+      if (cacheEntry && age < (ttl + staleIfError) * 1000) {
+        this.metrics.staleIfErrorHits++;
+        return cacheEntry.data;
+      }
+      throw error;
+    }
+
+    if (freshData !== undefined) {
+      await store(freshData);
+    }
     return freshData;
   }
 
@@ -307,7 +347,9 @@ class AdvancedCacheStrategies {
     return null;
   }
 
-  async setCacheEntryWithMetadata(key, data, ttl) {
+  // keepFor lets an entry outlive its ttl, for strategies that serve stale data
+  async setCacheEntryWithMetadata(key, data, ttl, options = {}) {
+    const { keepFor = ttl, tags = [] } = options;
     const metaKey = `meta:${key}`;
     const metadata = {
       timestamp: Date.now(),
@@ -315,8 +357,8 @@ class AdvancedCacheStrategies {
     };
 
     await Promise.all([
-      cacheManager.set(key, data, ttl),
-      cacheManager.set(metaKey, metadata, ttl + 60), // Keep metadata slightly longer
+      cacheManager.set(key, data, keepFor, tags),
+      cacheManager.set(metaKey, metadata, keepFor + 60), // Keep metadata slightly longer
     ]);
   }
 
@@ -378,6 +420,7 @@ class AdvancedCacheStrategies {
     this.metrics = {
       cacheStampedePrevented: 0,
       staleWhileRevalidateHits: 0,
+      staleIfErrorHits: 0,
       circuitBreakerTrips: 0,
     };
   }
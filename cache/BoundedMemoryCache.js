@@ -0,0 +1,499 @@
+// INTERVIEW CONCEPT: Bounded In-Memory Cache
+// A plain Map grows until the process runs out of memory. This strategy caps
+// both the number of entries and their approximate size, and evicts with a
+// selectable policy once either limit is reached:
+//   lru     - least recently used
+//   lfu     - least frequently used (ties broken by recency)
+//   tinylfu - W-TinyLFU: a small LRU window in front of a segmented LRU,
+//             with a frequency sketch deciding what gets in
+// Expiry is lazy (checked on read) plus a periodic sweep, so there is no
+// timer per key.
+
+const { TagIndex, globToRegExp } = require("./CacheKeys");
+
+const POLICIES = ["lru", "lfu", "tinylfu"];
+
+// Sets iterate in insertion order, so the first value is the oldest
+const oldest = (set) => (set.size > 0 ? set.values().next().value : null);
+
+// Re-inserting moves a key to the most recently used end
+const touch = (set, key) => {
+  set.delete(key);
+  set.add(key);
+};
+
+// INTERVIEW CONCEPT: LRU Eviction
+class LruPolicy {
+  constructor() {
+    this.order = new Set();
+  }
+
+  add(key) {
+    touch(this.order, key);
+  }
+
+  access(key) {
+    touch(this.order, key);
+  }
+
+  miss() {}
+
+  remove(key) {
+    this.order.delete(key);
+  }
+
+  evict() {
+    return oldest(this.order);
+  }
+
+  clear() {
+    this.order.clear();
+  }
+}
+
+// INTERVIEW CONCEPT: O(1) LFU Eviction
+// Keys are grouped in buckets by use count; the lowest non-empty bucket
+// holds the victims, oldest first. Counts never decay, so entries that were
+// popular long ago can linger - the problem W-TinyLFU's aging solves.
+class LfuPolicy {
+  constructor() {
+    this.counts = new Map();
+    this.buckets = new Map();
+    this.minCount = 0;
+  }
+
+  add(key) {
+    if (this.counts.has(key)) {
+      return this.access(key);
+    }
+    this.counts.set(key, 1);
+    this.bucket(1).add(key);
+    this.minCount = 1;
+  }
+
+  access(key) {
+    const count = this.counts.get(key);
+    if (count === undefined) {
+      return this.add(key);
+    }
+
+    this.leaveBucket(key, count);
+    if (this.minCount === count && !this.buckets.has(count)) {
+      this.minCount = count + 1;
+    }
+    this.counts.set(key, count + 1);
+    this.bucket(count + 1).add(key);
+  }
+
+  miss() {}
+
+  remove(key) {
+    const count = this.counts.get(key);
+    if (count === undefined) return;
+
+    this.counts.delete(key);
+    this.leaveBucket(key, count);
+  }
+
+  evict() {
+    if (this.counts.size === 0) return null;
+
+    // Removals can empty the lowest bucket without moving minCount
+    if (!this.buckets.has(this.minCount)) {
+      this.minCount = Math.min(...this.buckets.keys());
+    }
+    return oldest(this.buckets.get(this.minCount));
+  }
+
+  clear() {
+    this.counts.clear();
+    this.buckets.clear();
+    this.minCount = 0;
+  }
+
+  bucket(count) {
+    if (!this.buckets.has(count)) {
+      this.buckets.set(count, new Set());
+    }
+    return this.buckets.get(count);
+  }
+
+  leaveBucket(key, count) {
+    const bucket = this.buckets.get(count);
+    bucket.delete(key);
+    if (bucket.size === 0) this.buckets.delete(count);
+  }
+}
+
+// INTERVIEW CONCEPT: Count-Min Sketch
+// Approximate access counts in fixed memory: each key bumps one 4-bit
+// counter per row and its estimate is the smallest of them. All counters are
+// halved every `sampleSize` additions, so old popularity fades.
+class CountMinSketch {
+  constructor(capacity) {
+    let width = 16;
+    while (width < capacity) width *= 2;
+
+    this.width = width;
+    this.depth = 4;
+    this.table = new Uint8Array(this.width * this.depth);
+    this.sampleSize = 10 * Math.max(capacity, 16);
+    this.additions = 0;
+  }
+
+  increment(key) {
+    let added = false;
+    for (const index of this.indexes(key)) {
+      if (this.table[index] < 15) {
+        this.table[index]++;
+        added = true;
+      }
+    }
+
+    if (added && ++this.additions >= this.sampleSize) {
+      this.reset();
+    }
+  }
+
+  estimate(key) {
+    let min = 15;
+    for (const index of this.indexes(key)) {
+      min = Math.min(min, this.table[index]);
+    }
+    return min;
+  }
+
+  reset() {
+    for (let i = 0; i < this.table.length; i++) {
+      this.table[i] >>= 1;
+    }
+    this.additions = Math.floor(this.additions / 2);
+  }
+
+  // Double hashing: row i uses h1 + i * h2
+  indexes(key) {
+    const h1 = hash(key, 0);
+    const h2 = hash(key, 0x9e3779b9) | 1;
+    const indexes = [];
+    for (let row = 0; row < this.depth; row++) {
+      const column = (h1 + Math.imul(row, h2)) & (this.width - 1);
+      indexes.push(row * this.width + column);
+    }
+    return indexes;
+  }
+}
+
+// 32-bit FNV-1a
+function hash(text, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// INTERVIEW CONCEPT: W-TinyLFU Eviction
+// New keys land in a small LRU window (1% of capacity). When the window
+// overflows, its oldest key has to win a frequency duel against the main
+// area's next victim to get in, so one-off keys (scans) cannot flush out
+// the working set. The main area is a segmented LRU: keys start on
+// probation and are promoted to the protected segment (80%) when used again.
+class WTinyLfuPolicy {
+  constructor(capacity) {
+    this.windowCapacity = Math.max(1, Math.round(capacity * 0.01));
+    this.mainCapacity = Math.max(1, capacity - this.windowCapacity);
+    this.protectedCapacity = Math.max(1, Math.round(this.mainCapacity * 0.8));
+
+    this.window = new Set();
+    this.probation = new Set();
+    this.protected = new Set();
+    this.sketch = new CountMinSketch(capacity);
+  }
+
+  get mainSize() {
+    return this.probation.size + this.protected.size;
+  }
+
+  add(key) {
+    this.sketch.increment(key);
+    touch(this.window, key);
+
+    // While the main area has room, window overflow moves in without a duel
+    while (
+      this.window.size > this.windowCapacity &&
+      this.mainSize < this.mainCapacity
+    ) {
+      const candidate = oldest(this.window);
+      this.window.delete(candidate);
+      this.probation.add(candidate);
+    }
+  }
+
+  access(key) {
+    this.sketch.increment(key);
+
+    if (this.window.has(key)) {
+      touch(this.window, key);
+    } else if (this.probation.has(key)) {
+      this.probation.delete(key);
+      this.protected.add(key);
+
+      if (this.protected.size > this.protectedCapacity) {
+        const demoted = oldest(this.protected);
+        this.protected.delete(demoted);
+        this.probation.add(demoted);
+      }
+    } else if (this.protected.has(key)) {
+      touch(this.protected, key);
+    } else {
+      this.add(key);
+    }
+  }
+
+  // Misses count too: a key asked for often deserves a place
+  miss(key) {
+    this.sketch.increment(key);
+  }
+
+  remove(key) {
+    this.window.delete(key);
+    this.probation.delete(key);
+    this.protected.delete(key);
+  }
+
+  evict() {
+    const candidate =
+      this.window.size > this.windowCapacity || this.mainSize === 0
+        ? oldest(this.window)
+        : null;
+    const victim = oldest(this.probation) ?? oldest(this.protected);
+
+    if (candidate === null) return victim;
+    if (victim === null) return candidate;
+
+    // INTERVIEW CONCEPT: TinyLFU Admission
+    if (this.sketch.estimate(candidate) > this.sketch.estimate(victim)) {
+      this.window.delete(candidate);
+      this.probation.add(candidate);
+      return victim;
+    }
+    return candidate;
+  }
+
+  clear() {
+    this.window.clear();
+    this.probation.clear();
+    this.protected.clear();
+  }
+}
+
+class BoundedMemoryCacheStrategy {
+  constructor(options = {}) {
+    this.maxEntries =
+      options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+    this.maxBytes =
+      options.maxBytes ||
+      parseInt(process.env.CACHE_MAX_BYTES) ||
+      50 * 1024 * 1024; // 50 MB
+    this.policyName =
+      options.policy || process.env.CACHE_EVICTION_POLICY || "lru";
+
+    if (!POLICIES.includes(this.policyName)) {
+      throw new Error(
+        `Unknown eviction policy '${this.policyName}' (use ${POLICIES.join(
+          ", "
+        )})`
+      );
+    }
+
+    this.entries = new Map();
+    this.bytes = 0;
+    this.policy = this.createPolicy();
+    this.tags = new TagIndex();
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      deletes: 0,
+      evictions: 0,
+      expirations: 0,
+      rejected: 0,
+    };
+
+    // INTERVIEW CONCEPT: Periodic Expiry Sweep
+    // Expired entries nobody reads again would otherwise hold their space
+    // until evicted
+    const sweepInterval =
+      options.sweepInterval || parseInt(process.env.CACHE_SWEEP_INTERVAL) || 60; // seconds
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval * 1000);
+    this.sweepTimer.unref();
+  }
+
+  createPolicy() {
+    switch (this.policyName) {
+      case "lfu":
+        return new LfuPolicy();
+      case "tinylfu":
+        return new WTinyLfuPolicy(this.maxEntries);
+      default:
+        return new LruPolicy();
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    // INTERVIEW CONCEPT: Lazy Expiry
+    if (entry && this.isExpired(entry)) {
+      this.remove(key);
+      this.stats.expirations++;
+    } else if (entry) {
+      this.policy.access(key);
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    this.policy.miss(key);
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(key, value, ttl = 300, tags = []) {
+    const size = this.sizeOf(key, value);
+
+    // One entry bigger than the whole budget would evict everything
+    if (size > this.maxBytes) {
+      this.remove(key);
+      this.stats.rejected++;
+      return false;
+    }
+
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.bytes -= existing.size;
+      this.policy.access(key);
+    } else {
+      this.policy.add(key);
+    }
+
+    this.entries.set(key, {
+      value,
+      size,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+    });
+    this.bytes += size;
+    this.tags.add(key, tags);
+    this.stats.sets++;
+
+    this.enforceLimits();
+
+    // W-TinyLFU may turn the new key away straight away
+    return this.entries.has(key);
+  }
+
+  async del(key) {
+    const deleted = this.remove(key);
+    if (deleted) this.stats.deletes++;
+    return deleted;
+  }
+
+  async keys(pattern = "*") {
+    const matcher = globToRegExp(pattern);
+    return [...this.entries]
+      .filter(([key, entry]) => !this.isExpired(entry) && matcher.test(key))
+      .map(([key]) => key);
+  }
+
+  async delPattern(pattern) {
+    const keys = await this.keys(pattern);
+    for (const key of keys) {
+      await this.del(key);
+    }
+    return keys.length;
+  }
+
+  async invalidateTags(tags) {
+    const keys = this.tags.keysFor(tags);
+    for (const key of keys) {
+      await this.del(key);
+    }
+    return keys.length;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.policy.clear();
+    this.tags.clear();
+    this.bytes = 0;
+    return true;
+  }
+
+  async getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      policy: this.policyName,
+      tags: this.tags.size,
+      type: "bounded-memory",
+    };
+  }
+
+  // INTERVIEW CONCEPT: Eviction Loop
+  enforceLimits() {
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const key = this.policy.evict();
+      if (key === null) break;
+
+      this.remove(key);
+      this.stats.evictions++;
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.remove(key);
+        removed++;
+      }
+    }
+
+    this.stats.expirations += removed;
+    return removed;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    this.policy.remove(key);
+    this.tags.remove(key);
+    return true;
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  // Rough UTF-16 size of the key and the serialized value - enough for a
+  // memory budget, not an exact measurement
+  sizeOf(key, value) {
+    let serialized;
+    try {
+      serialized = JSON.stringify(value) ?? "";
+    } catch {
+      serialized = String(value);
+    }
+    return (key.length + serialized.length) * 2;
+  }
+}
+
+module.exports = BoundedMemoryCacheStrategy;
@@ -0,0 +1,88 @@
+// INTERVIEW CONCEPT: Key Matching and Tagging Helpers
+// Shared by the in-process cache strategies
+
+// INTERVIEW CONCEPT: Glob Matching
+// Compiles a Redis-style glob to a RegExp so the in-process strategies match
+// keys exactly as Redis SCAN MATCH would
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === "*") {
+      source += "[\\s\\S]*";
+    } else if (char === "?") {
+      source += "[\\s\\S]";
+    } else if (char === "[" && pattern.indexOf("]", i) > i + 1) {
+      // Character classes read the same in both: [abc], [a-z], [^a]
+      const end = pattern.indexOf("]", i);
+      source += pattern.slice(i, end + 1);
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/-]/g, "\\$&");
+}
+
+// INTERVIEW CONCEPT: Tag Index
+// Two-way map between tags and the keys cached under them, so a whole group
+// of entries ("users", "user:3", "posts:byUser:1") can be dropped at once
+class TagIndex {
+  constructor() {
+    this.keysByTag = new Map();
+    this.tagsByKey = new Map();
+  }
+
+  // Replaces any tags the key had before
+  add(key, tags = []) {
+    this.remove(key);
+    if (tags.length === 0) return;
+
+    this.tagsByKey.set(key, new Set(tags));
+    for (const tag of tags) {
+      if (!this.keysByTag.has(tag)) {
+        this.keysByTag.set(tag, new Set());
+      }
+      this.keysByTag.get(tag).add(key);
+    }
+  }
+
+  remove(key) {
+    const tags = this.tagsByKey.get(key);
+    if (!tags) return;
+
+    for (const tag of tags) {
+      const keys = this.keysByTag.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) this.keysByTag.delete(tag);
+    }
+    this.tagsByKey.delete(key);
+  }
+
+  keysFor(tags) {
+    const keys = new Set();
+    for (const tag of tags) {
+      for (const key of this.keysByTag.get(tag) || []) {
+        keys.add(key);
+      }
+    }
+    return [...keys];
+  }
+
+  clear() {
+    this.keysByTag.clear();
+    this.tagsByKey.clear();
+  }
+
+  get size() {
+    return this.keysByTag.size;
+  }
+}
+
+module.exports = { TagIndex, globToRegExp };
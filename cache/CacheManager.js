@@ -4,6 +4,8 @@
 
 const NodeCache = require("node-cache");
 const memoryCache = require("memory-cache");
+const { TagIndex, globToRegExp } = require("./CacheKeys");
+const BoundedMemoryCacheStrategy = require("./BoundedMemoryCache");
 
 class CacheManager {
   constructor() {
@@ -11,6 +13,7 @@ class CacheManager {
     this.strategies = {
       memory: new MemoryCacheStrategy(),
       nodeCache: new NodeCacheStrategy(),
+      bounded: new BoundedMemoryCacheStrategy(), // Size-capped with eviction
       redis: null, // Will be initialized if Redis is available
     };
 
@@ -38,9 +41,14 @@ class CacheManager {
     }
   }
 
-  async set(key, value, ttl = 300) {
+  async set(key, value, ttl = 300, tags = []) {
     try {
-      return await this.strategies[this.currentStrategy].set(key, value, ttl);
+      return await this.strategies[this.currentStrategy].set(
+        key,
+        value,
+        ttl,
+        tags
+      );
     } catch (error) {
       console.error(`Cache set error (${this.currentStrategy}):`, error);
       return false;
@@ -56,6 +64,46 @@ class CacheManager {
     }
   }
 
+  // INTERVIEW CONCEPT: Pattern Matching
+  // Redis-style globs: * any run of characters, ? one character, [abc] a
+  // character class, e.g. "api:GET:/api/users*"
+  async keys(pattern = "*") {
+    try {
+      return await this.strategies[this.currentStrategy].keys(pattern);
+    } catch (error) {
+      console.error(`Cache keys error (${this.currentStrategy}):`, error);
+      return [];
+    }
+  }
+
+  // Returns the number of entries removed
+  async delPattern(pattern) {
+    try {
+      return await this.strategies[this.currentStrategy].delPattern(pattern);
+    } catch (error) {
+      console.error(
+        `Cache pattern delete error (${this.currentStrategy}):`,
+        error
+      );
+      return 0;
+    }
+  }
+
+  // INTERVIEW CONCEPT: Tag-Based Invalidation
+  // Drops every entry stored under any of the tags, e.g. ["user:3"] after
+  // user 3 changes. Returns the number of entries removed.
+  async invalidateTags(tags) {
+    try {
+      return await this.strategies[this.currentStrategy].invalidateTags(tags);
+    } catch (error) {
+      console.error(
+        `Cache tag invalidation error (${this.currentStrategy}):`,
+        error
+      );
+      return 0;
+    }
+  }
+
   async clear() {
     try {
       return await this.strategies[this.currentStrategy].clear();
@@ -119,6 +167,7 @@ class MemoryCacheStrategy {
   constructor() {
     this.cache = new Map();
     this.timers = new Map();
+    this.tags = new TagIndex();
     this.stats = {
       hits: 0,
       misses: 0,
@@ -136,13 +185,14 @@ class MemoryCacheStrategy {
     return null;
   }
 
-  async set(key, value, ttl = 300) {
+  async set(key, value, ttl = 300, tags = []) {
     // Clear existing timer if any
     if (this.timers.has(key)) {
       clearTimeout(this.timers.get(key));
     }
 
     this.cache.set(key, value);
+    this.tags.add(key, tags);
     this.stats.sets++;
 
     // Set TTL timer
@@ -150,6 +200,7 @@ class MemoryCacheStrategy {
       const timer = setTimeout(() => {
         this.cache.delete(key);
         this.timers.delete(key);
+        this.tags.remove(key);
       }, ttl * 1000);
 
       this.timers.set(key, timer);
@@ -164,11 +215,33 @@ class MemoryCacheStrategy {
       this.timers.delete(key);
     }
 
+    this.tags.remove(key);
     const deleted = this.cache.delete(key);
     if (deleted) this.stats.deletes++;
     return deleted;
   }
 
+  async keys(pattern = "*") {
+    const matcher = globToRegExp(pattern);
+    return [...this.cache.keys()].filter((key) => matcher.test(key));
+  }
+
+  async delPattern(pattern) {
+    const keys = await this.keys(pattern);
+    for (const key of keys) {
+      await this.del(key);
+    }
+    return keys.length;
+  }
+
+  async invalidateTags(tags) {
+    const keys = this.tags.keysFor(tags);
+    for (const key of keys) {
+      await this.del(key);
+    }
+    return keys.length;
+  }
+
   async clear() {
     // Clear all timers
     for (const timer of this.timers.values()) {
@@ -177,6 +250,7 @@ class MemoryCacheStrategy {
 
     this.cache.clear();
     this.timers.clear();
+    this.tags.clear();
     return true;
   }
 
@@ -185,6 +259,7 @@ class MemoryCacheStrategy {
       ...this.stats,
       size: this.cache.size,
       activeTimers: this.timers.size,
+      tags: this.tags.size,
       type: "memory",
     };
   }
@@ -198,6 +273,7 @@ class NodeCacheStrategy {
       checkperiod: 60, // Check for expired keys every 60 seconds
       useClones: false, // Better performance, but be careful with object mutations
     });
+    this.tags = new TagIndex();
 
     this.stats = {
       hits: 0,
@@ -213,10 +289,16 @@ class NodeCacheStrategy {
 
     this.cache.on("del", (key, value) => {
       this.stats.deletes++;
+      this.tags.remove(key);
     });
 
     this.cache.on("expired", (key, value) => {
       console.log(`Cache key expired: ${key}`);
+      this.tags.remove(key);
+    });
+
+    this.cache.on("flush", () => {
+      this.tags.clear();
     });
   }
 
@@ -230,14 +312,31 @@ class NodeCacheStrategy {
     return null;
   }
 
-  async set(key, value, ttl = 300) {
-    return this.cache.set(key, value, ttl);
+  async set(key, value, ttl = 300, tags = []) {
+    const stored = this.cache.set(key, value, ttl);
+    this.tags.add(key, tags);
+    return stored;
   }
 
   async del(key) {
     return this.cache.del(key) > 0;
   }
 
+  async keys(pattern = "*") {
+    const matcher = globToRegExp(pattern);
+    return this.cache.keys().filter((key) => matcher.test(key));
+  }
+
+  async delPattern(pattern) {
+    const keys = await this.keys(pattern);
+    return keys.length > 0 ? this.cache.del(keys) : 0;
+  }
+
+  async invalidateTags(tags) {
+    const keys = this.tags.keysFor(tags);
+    return keys.length > 0 ? this.cache.del(keys) : 0;
+  }
+
   async clear() {
     this.cache.flushAll();
     return true;
@@ -249,6 +348,7 @@ class NodeCacheStrategy {
       ...this.stats,
       size: keys.length,
       keys: keys.length < 10 ? keys : keys.slice(0, 10), // Show first 10 keys
+      tags: this.tags.size,
       type: "node-cache",
     };
   }
@@ -263,4 +363,7 @@ module.exports = {
   cacheManager,
   MemoryCacheStrategy,
   NodeCacheStrategy,
+  TagIndex,
+  globToRegExp,
+  BoundedMemoryCacheStrategy,
 };
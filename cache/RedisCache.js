@@ -12,6 +12,7 @@ class RedisCacheStrategy {
       db: process.env.REDIS_DB || 0,
       retryDelayOnFailover: 100,
       maxRetriesPerRequest: 3,
+      tagPrefix: "tag:",
       ...options,
     };
 
@@ -109,7 +110,7 @@ class RedisCacheStrategy {
   }
 
   // INTERVIEW CONCEPT: Redis Set with TTL
-  async set(key, value, ttl = 300) {
+  async set(key, value, ttl = 300, tags = []) {
     if (!this.isConnected) {
       throw new Error("Redis not connected");
     }
@@ -125,6 +126,10 @@ class RedisCacheStrategy {
         await this.client.set(key, serializedValue);
       }
 
+      for (const tag of tags) {
+        await this.addToTag(tag, key, ttl);
+      }
+
       this.stats.sets++;
       return true;
     } catch (error) {
@@ -149,6 +154,110 @@ class RedisCacheStrategy {
     }
   }
 
+  // INTERVIEW CONCEPT: SCAN Instead of KEYS
+  // KEYS blocks the server while it walks the whole keyspace; SCAN pages
+  // through it with a cursor. SCAN can repeat keys, hence the Set.
+  async keys(pattern = "*") {
+    if (!this.isConnected) {
+      throw new Error("Redis not connected");
+    }
+
+    try {
+      const keys = new Set();
+      for await (const key of this.client.scanIterator({
+        MATCH: pattern,
+        COUNT: 100,
+      })) {
+        keys.add(key);
+      }
+      return [...keys];
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+  }
+
+  // Deletes in batches while scanning rather than collecting every key first
+  async delPattern(pattern) {
+    if (!this.isConnected) {
+      throw new Error("Redis not connected");
+    }
+
+    try {
+      let removed = 0;
+      let batch = [];
+      for await (const key of this.client.scanIterator({
+        MATCH: pattern,
+        COUNT: 100,
+      })) {
+        batch.push(key);
+        if (batch.length >= 100) {
+          removed += await this.client.del(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        removed += await this.client.del(batch);
+      }
+
+      this.stats.deletes += removed;
+      return removed;
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+  }
+
+  // INTERVIEW CONCEPT: Tag Sets
+  // Each tag is a Redis set of the keys cached under it. The set must live
+  // as long as its longest-lived member, so its TTL only ever grows; a
+  // member without a TTL makes the set persistent.
+  async addToTag(tag, key, ttl) {
+    const tagKey = this.options.tagPrefix + tag;
+    const [existed, , remaining] = await this.client
+      .multi()
+      .exists(tagKey)
+      .sAdd(tagKey, key)
+      .ttl(tagKey)
+      .exec();
+
+    if (ttl <= 0) {
+      await this.client.persist(tagKey);
+    } else if (!existed || (remaining >= 0 && remaining < ttl)) {
+      await this.client.expire(tagKey, ttl);
+    }
+  }
+
+  async invalidateTags(tags) {
+    if (!this.isConnected) {
+      throw new Error("Redis not connected");
+    }
+
+    try {
+      let removed = 0;
+      for (const tag of tags) {
+        const tagKey = this.options.tagPrefix + tag;
+        // Read and drop the set atomically, so a key tagged in between
+        // cannot leave the set without being deleted
+        const [keys] = await this.client
+          .multi()
+          .sMembers(tagKey)
+          .del(tagKey)
+          .exec();
+
+        if (keys.length > 0) {
+          removed += await this.client.del(keys);
+        }
+      }
+
+      this.stats.deletes += removed;
+      return removed;
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+  }
+
   // INTERVIEW CONCEPT: Redis Flush All
   async clear() {
     if (!this.isConnected) {
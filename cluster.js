@@ -5,23 +5,46 @@
 const cluster = require("cluster");
 const os = require("os");
 
+require("dotenv").config();
+
 // INTERVIEW CONCEPT: CPU Core Detection
 // os.cpus().length returns the number of CPU cores available
 const numCPUs = os.cpus().length;
 
 if (cluster.isMaster) {
+  // INTERVIEW CONCEPT: Shared State Across Workers
+  // Workers share no memory. The JSON user store writes its in-memory copy
+  // over the whole file, so workers would overwrite each other's changes
+  if (process.env.USER_STORE === "json") {
+    console.error(
+      "USER_STORE=json only supports a single process - use USER_STORE=sqlite with cluster.js"
+    );
+    process.exit(1);
+  }
+
   console.log(`Master process ${process.pid} is running`);
   console.log(`Starting ${numCPUs} worker processes...`);
 
-  // INTERVIEW CONCEPT: Worker Process Management
-  // Fork workers equal to the number of CPU cores
-  for (let i = 0; i < numCPUs; i++) {
-    const worker = cluster.fork();
+  // INTERVIEW CONCEPT: Singleton Background Jobs
+  // Every worker runs the whole app, timers included. Jobs that must run
+  // once (the account deletion sweep) are switched off in all but one worker
+  const forkWorker = (runsSweep) => {
+    const worker = cluster.fork(
+      runsSweep ? {} : { ACCOUNT_DELETION_SWEEP: "false" }
+    );
+    worker.runsSweep = runsSweep;
 
     // INTERVIEW CONCEPT: Worker Process Monitoring
     worker.on("online", () => {
       console.log(`Worker ${worker.process.pid} is online`);
     });
+    return worker;
+  };
+
+  // INTERVIEW CONCEPT: Worker Process Management
+  // Fork workers equal to the number of CPU cores
+  for (let i = 0; i < numCPUs; i++) {
+    forkWorker(i === 0);
   }
 
   // INTERVIEW CONCEPT: Worker Process Restart on Failure
@@ -31,7 +54,8 @@ if (cluster.isMaster) {
       `Worker ${worker.process.pid} died with code ${code} and signal ${signal}`
     );
     console.log("Starting a new worker...");
-    cluster.fork();
+    // The replacement takes over the sweep if the dead worker ran it
+    forkWorker(worker.runsSweep);
   });
 
   // INTERVIEW CONCEPT: Graceful Shutdown
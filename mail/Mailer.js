@@ -0,0 +1,37 @@
+/**
+ * Mailer - thin wrapper around a pluggable transport
+ * A transport is any object with an async send(message) method, so a real
+ * SMTP or API-based transport can be dropped in without touching callers
+ */
+class Mailer {
+  constructor(options = {}) {
+    if (!options.transport || typeof options.transport.send !== "function") {
+      throw new Error("Mailer requires a transport with a send() method");
+    }
+
+    this.transport = options.transport;
+    this.from = options.from || process.env.MAIL_FROM || "no-reply@example.com";
+  }
+
+  async send(message) {
+    const { to, subject, text, html } = message;
+
+    if (!to || !subject) {
+      throw new Error("Mail message requires 'to' and 'subject'");
+    }
+
+    return this.transport.send({
+      from: message.from || this.from,
+      to,
+      subject,
+      text,
+      html,
+    });
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,28 @@
+const Mailer = require("./Mailer");
+const MemoryTransport = require("./transports/MemoryTransport");
+const FileTransport = require("./transports/FileTransport");
+
+/**
+ * Transport factory - picks the transport from MAIL_TRANSPORT (memory | file)
+ */
+function createTransport(type = process.env.MAIL_TRANSPORT || "memory") {
+  switch (type) {
+    case "memory":
+      return new MemoryTransport();
+    case "file":
+      return new FileTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+}
+
+// Shared mailer used by the auth flows
+const mailer = new Mailer({ transport: createTransport() });
+
+module.exports = {
+  Mailer,
+  MemoryTransport,
+  FileTransport,
+  createTransport,
+  mailer,
+};
@@ -0,0 +1,62 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * File transport - writes every message as a JSON file into an outbox
+ * directory instead of sending it
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.directory = path.resolve(
+      options.directory || process.env.MAIL_OUTBOX_DIR || "./outbox"
+    );
+  }
+
+  async send(message) {
+    const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    const stored = { id, ...message, sentAt: new Date() };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${id}.json`),
+      JSON.stringify(stored, null, 2)
+    );
+
+    return { messageId: id };
+  }
+
+  async getOutbox() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .map(async (file) =>
+          JSON.parse(await fs.readFile(path.join(this.directory, file), "utf8"))
+        )
+    );
+
+    return messages;
+  }
+
+  async findLatest(to) {
+    const messages = await this.getOutbox();
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (messages[i].to === to) return messages[i];
+    }
+    return null;
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,45 @@
+/**
+ * Memory transport - keeps sent messages in an in-process outbox
+ * Handy for development and tests: nothing leaves the machine and the
+ * outbox can be inspected directly
+ */
+class MemoryTransport {
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 100;
+    this.outbox = [];
+  }
+
+  async send(message) {
+    const stored = {
+      id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+      ...message,
+      sentAt: new Date(),
+    };
+
+    this.outbox.push(stored);
+
+    // Keep only the most recent messages
+    if (this.outbox.length > this.maxMessages) {
+      this.outbox.shift();
+    }
+
+    return { messageId: stored.id };
+  }
+
+  async getOutbox() {
+    return [...this.outbox];
+  }
+
+  async findLatest(to) {
+    for (let i = this.outbox.length - 1; i >= 0; i--) {
+      if (this.outbox[i].to === to) return this.outbox[i];
+    }
+    return null;
+  }
+
+  async clear() {
+    this.outbox = [];
+  }
+}
+
+module.exports = MemoryTransport;
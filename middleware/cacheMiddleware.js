@@ -1,12 +1,29 @@
 // INTERVIEW CONCEPT: Cache Middleware Implementation
 // Demonstrates middleware pattern for automatic caching
 
+const crypto = require("crypto");
 const { cacheManager } = require("../cache/CacheManager");
+const { advancedCacheStrategies } = require("../cache/AdvancedCacheStrategies");
 
 // INTERVIEW CONCEPT: Response Caching Middleware
+// Cached responses carry a strong ETag and a Last-Modified time, so clients
+// that already have the body can revalidate with If-None-Match or
+// If-Modified-Since and get a bodiless 304 instead of the whole payload.
+//
+// Only responses that may be shared are stored: a cacheable status, and no
+// "private" or "no-store" in the handler's Cache-Control. Requests can ask
+// for a fresh copy ("no-cache") or for no caching at all ("no-store").
+//
+// staleWhileRevalidate and staleIfError (seconds) add the RFC 5861
+// directives of the same name: an expired entry is served while the handler
+// refreshes it in the background, or in place of a failed response.
 function cacheMiddleware(options = {}) {
   const {
     ttl = 300, // Default 5 minutes
+    staleWhileRevalidate = 0,
+    staleIfError = 0,
+    tags = [], // Tag templates such as "user:{id}", or (req) => tags
+    vary = ["Accept", "Accept-Language", "User-Agent"], // What the default key varies on
     keyGenerator = null,
     skipCache = null,
     onHit = null,
@@ -14,6 +31,15 @@ function cacheMiddleware(options = {}) {
     onError = null,
   } = options;
 
+  const cacheControl = [
+    `max-age=${ttl}`,
+    staleWhileRevalidate > 0 &&
+      `stale-while-revalidate=${staleWhileRevalidate}`,
+    staleIfError > 0 && `stale-if-error=${staleIfError}`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
   return async (req, res, next) => {
     // INTERVIEW CONCEPT: Cache Key Generation
     const cacheKey = keyGenerator
@@ -30,53 +56,223 @@ function cacheMiddleware(options = {}) {
       return next();
     }
 
-    try {
-      // INTERVIEW CONCEPT: Cache Hit Check
-      const cachedResponse = await cacheManager.get(cacheKey);
-
-      if (cachedResponse) {
-        // INTERVIEW CONCEPT: Cache Hit Response
-        if (onHit) onHit(req, cacheKey);
-
-        res.set("X-Cache", "HIT");
-        res.set("X-Cache-Key", cacheKey);
-        return res.json(cachedResponse);
-      }
+    // INTERVIEW CONCEPT: Request Cache-Control
+    // no-store: leave the cache alone entirely; no-cache: skip the stored
+    // copy but store the fresh response
+    const requestDirectives = parseCacheControl(req.get("Cache-Control"));
+    if (requestDirectives["no-store"]) {
+      return next();
+    }
 
-      // INTERVIEW CONCEPT: Response Interception
-      const originalJson = res.json;
-      res.json = function (data) {
-        // Cache the response before sending
-        cacheManager
-          .set(cacheKey, data, ttl)
-          .then(() => {
-            if (onMiss) onMiss(req, cacheKey);
-          })
-          .catch((error) => {
-            console.error("Cache set error:", error);
-            if (onError) onError(error, req, cacheKey);
+    const originalJson = res.json;
+    let loadedNow = false;
+
+    // INTERVIEW CONCEPT: Response Interception
+    // The rest of the chain is the data loader. Its cacheable response is
+    // returned rather than sent; anything else goes out untouched. After a
+    // stale response has been sent, the refresh must not write to the client.
+    const loadResponse = (previous) => {
+      const background = res.headersSent;
+      if (!background) loadedNow = true;
+
+      return new Promise((resolve, reject) => {
+        res.json = function (data) {
+          res.json = originalJson;
+
+          if (!isCacheableResponse(res)) {
+            // Errors are worth replacing with a stale copy if there is one
+            if (res.statusCode >= 500) {
+              const error = new Error(`Response status ${res.statusCode}`);
+              error.response = data;
+              return reject(error);
+            }
+
+            if (!background) originalJson.call(this, data);
+            return resolve(undefined);
+          }
+
+          // An unchanged body keeps its Last-Modified time, so
+          // If-Modified-Since still works after a refresh
+          const etag = generateETag(data);
+          const now = Date.now();
+          resolve({
+            version: CACHED_RESPONSE_VERSION,
+            status: res.statusCode,
+            body: data,
+            etag,
+            lastModified:
+              isCachedResponse(previous) && previous.etag === etag
+                ? previous.lastModified
+                : now,
+            storedAt: now,
+            ttl,
           });
+          return this;
+        };
+
+        if (background) {
+          res.setHeader = () => res;
+          res.send = res.end = () => {
+            resolve(undefined);
+            return res;
+          };
+        } else {
+          // Sent some other way (res.send, redirect, client gone)
+          res.on("close", () => resolve(undefined));
+        }
+
+        next();
+      });
+    };
 
-        res.set("X-Cache", "MISS");
-        res.set("X-Cache-Key", cacheKey);
+    let entry;
+    try {
+      // INTERVIEW CONCEPT: Stale-While-Revalidate Behind the Scenes
+      entry = await advancedCacheStrategies.staleWhileRevalidate(
+        cacheKey,
+        loadResponse,
+        {
+          ttl,
+          staleTime: ttl + staleWhileRevalidate,
+          staleIfError,
+          forceRefresh: Boolean(requestDirectives["no-cache"]),
+          tags: resolveTags(tags, req),
+        }
+      );
+    } catch (error) {
+      if (res.headersSent) return;
 
-        // Call original json method
-        return originalJson.call(this, data);
-      };
+      // A 5xx from the handler with no stale copy to stand in for it
+      if (error.response !== undefined) {
+        res.json = originalJson;
+        return res.json(error.response);
+      }
 
-      next();
-    } catch (error) {
       console.error("Cache middleware error:", error);
       if (onError) onError(error, req, cacheKey);
-      next(); // Continue without caching on error
+      // Continue without caching, unless the handler has already run
+      return loadedNow ? next(error) : next();
+    }
+
+    // Not cacheable - the handler has already answered
+    if (entry === undefined || res.headersSent) {
+      return;
     }
+    // Stored by an older version of this middleware
+    if (!isCachedResponse(entry)) {
+      return next();
+    }
+
+    // Loaded for this request, served from cache, or served past its ttl
+    // (while refreshing, or in place of an error)
+    const stale = Date.now() - entry.storedAt >= ttl * 1000;
+    const status = stale ? "STALE" : loadedNow ? "MISS" : "HIT";
+
+    if (status === "MISS") {
+      if (onMiss) onMiss(req, cacheKey);
+    } else if (onHit) {
+      onHit(req, cacheKey);
+    }
+
+    res.set("X-Cache", status);
+    res.set("X-Cache-Key", cacheKey);
+    setCacheHeaders(res, entry, { cacheControl, vary });
+
+    // INTERVIEW CONCEPT: Conditional GET
+    if (isNotModified(req, entry)) {
+      return res.status(304).end();
+    }
+    return originalJson.call(res.status(entry.status), entry.body);
   };
 }
 
+// Bumped when the stored shape changes, so older entries count as misses
+const CACHED_RESPONSE_VERSION = 1;
+
+// Statuses RFC 9111 lets a shared cache reuse that we answer with a body
+const CACHEABLE_STATUSES = new Set([200, 203]);
+
+function isCachedResponse(entry) {
+  return Boolean(entry) && entry.version === CACHED_RESPONSE_VERSION;
+}
+
+// INTERVIEW CONCEPT: Response Cache-Control
+// Anything the handler marked private (per user) or no-store (sensitive)
+// must not end up in a shared cache
+function isCacheableResponse(res) {
+  const directives = parseCacheControl(res.get("Cache-Control"));
+  return (
+    CACHEABLE_STATUSES.has(res.statusCode) &&
+    !directives.private &&
+    !directives["no-store"]
+  );
+}
+
+// "no-cache, max-age=0" -> { "no-cache": true, "max-age": "0" }
+function parseCacheControl(header = "") {
+  const directives = {};
+  for (const part of header.split(",")) {
+    const [name, value] = part.split("=");
+    if (name.trim()) {
+      directives[name.trim().toLowerCase()] =
+        value === undefined ? true : value.trim().replace(/^"|"$/g, "");
+    }
+  }
+  return directives;
+}
+
+// INTERVIEW CONCEPT: Strong ETags
+// A hash of the serialized body: equal ETags mean byte-identical JSON
+function generateETag(data) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(data) ?? "")
+    .digest("base64url");
+  return `"${hash}"`;
+}
+
+// INTERVIEW CONCEPT: HTTP Caching Headers
+// max-age is the configured TTL and Age is how long ago the entry was
+// stored, so downstream caches see the same remaining lifetime we do
+function setCacheHeaders(res, entry, { cacheControl, vary }) {
+  const age = Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+
+  res.set("ETag", entry.etag);
+  res.set("Last-Modified", new Date(entry.lastModified).toUTCString());
+  res.set("Cache-Control", cacheControl);
+  res.set("Age", String(age));
+  for (const field of vary) {
+    res.vary(field);
+  }
+}
+
+// INTERVIEW CONCEPT: Conditional Request Evaluation
+// If-None-Match wins when both are sent (RFC 9110 13.2.2); ETags are
+// compared weakly, as required for If-None-Match
+function isNotModified(req, entry) {
+  const ifNoneMatch = req.get("If-None-Match");
+  if (ifNoneMatch) {
+    const opaque = (tag) => tag.trim().replace(/^W\//, "");
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch.split(",").some((tag) => opaque(tag) === opaque(entry.etag))
+    );
+  }
+
+  const ifModifiedSince = Date.parse(req.get("If-Modified-Since") || "");
+  if (!Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have one-second precision
+    return Math.floor(entry.lastModified / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  return false;
+}
+
 // INTERVIEW CONCEPT: Cache Invalidation Middleware
 function cacheInvalidationMiddleware(options = {}) {
   const {
     keyPatterns = [],
+    tags = [], // Tag templates filled from the route, e.g. "user:{id}"
     invalidateOn = ["POST", "PUT", "DELETE", "PATCH"],
   } = options;
 
@@ -86,10 +282,13 @@ function cacheInvalidationMiddleware(options = {}) {
     const originalSend = res.send;
 
     // INTERVIEW CONCEPT: Response Interception for Invalidation
+    // res.json() calls res.send(), so guard against invalidating twice
+    let invalidated = false;
     const interceptResponse = function (data) {
       // Only invalidate on successful responses (2xx status codes)
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        invalidateCache(req, keyPatterns);
+      if (!invalidated && res.statusCode >= 200 && res.statusCode < 300) {
+        invalidated = true;
+        invalidateCache(req, keyPatterns, resolveTags(tags, req));
       }
       return data;
     };
@@ -110,49 +309,105 @@ function cacheInvalidationMiddleware(options = {}) {
   };
 }
 
+// encodeURIComponent leaves "*" alone, and "*" is a wildcard in the
+// invalidation patterns
+const encodeKeyPart = (value) =>
+  encodeURIComponent(value).replace(/\*/g, "%2A");
+
 // INTERVIEW CONCEPT: Smart Cache Key Generation
+// Readable, prefix-friendly keys so patterns like "api:GET:/api/users*"
+// can target them:
+//   api:GET:/api/users?limit=10&page=1|accept=%2A%2F%2A|ua=curl%2F8.0
 function generateDefaultCacheKey(req) {
-  const { method, path, query, headers } = req;
+  const { method, query, headers } = req;
 
-  // Include relevant headers that might affect response
-  const relevantHeaders = {
-    accept: headers.accept,
-    "accept-language": headers["accept-language"],
-    "user-agent": headers["user-agent"]?.substring(0, 50), // Truncate user-agent
-  };
-
-  const keyData = {
-    method,
-    path,
-    query,
-    headers: relevantHeaders,
-  };
+  // Routers only see their part of the path; include where they are mounted.
+  // A router's root comes out as "/api/users/", so drop trailing slashes.
+  const path = (req.baseUrl + req.path).replace(/\/+$/, "") || "/";
 
   // INTERVIEW CONCEPT: Deterministic Key Generation
-  return `api:${Buffer.from(JSON.stringify(keyData)).toString("base64")}`;
+  // Sorted so ?a=1&b=2 and ?b=2&a=1 share an entry
+  const search = Object.keys(query)
+    .sort()
+    .map((name) => {
+      const value = query[name];
+      return `${encodeKeyPart(name)}=${encodeKeyPart(
+        typeof value === "string" ? value : JSON.stringify(value)
+      )}`;
+    })
+    .join("&");
+
+  // Include relevant headers that might affect response, encoded like the
+  // query so a header cannot fake another "|name=" part
+  const relevantHeaders = [
+    ["accept", headers.accept],
+    ["lang", headers["accept-language"]],
+    ["ua", headers["user-agent"]?.substring(0, 50)], // Truncate user-agent
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `|${name}=${encodeKeyPart(value)}`)
+    .join("");
+
+  return `api:${method}:${path}${search ? `?${search}` : ""}${relevantHeaders}`;
+}
+
+// INTERVIEW CONCEPT: Tag Templates
+// "user:{id}" is filled from req.params, then req.query, then req.body.
+// A tag with a placeholder that has no value is skipped.
+function resolveTags(tags, req) {
+  const templates = typeof tags === "function" ? tags(req) : tags;
+
+  return templates
+    .map((template) => {
+      let complete = true;
+      const tag = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = [req.params, req.query, req.body]
+          .map((source) => source && source[name])
+          .find((v) => v !== undefined && v !== null && v !== "");
+
+        if (value === undefined) {
+          complete = false;
+          return placeholder;
+        }
+        return String(value);
+      });
+
+      return complete ? tag : null;
+    })
+    .filter(Boolean);
 }
 
 // INTERVIEW CONCEPT: Pattern-based Cache Invalidation
-async function invalidateCache(req, keyPatterns) {
+async function invalidateCache(req, keyPatterns, tags = []) {
   try {
-    if (keyPatterns.length === 0) {
-      // Default invalidation patterns based on route
-      const pathSegments = req.path.split("/").filter(Boolean);
-      keyPatterns.push(`api:*${pathSegments[0]}*`);
+    if (tags.length > 0) {
+      const removed = await cacheManager.invalidateTags(tags);
+      console.log(
+        `Invalidated ${removed} cache entries tagged: ${tags.join(", ")}`
+      );
     }
 
-    for (const pattern of keyPatterns) {
-      // For simple implementation, we'll clear all cache
-      // In production, you'd implement pattern matching
-      console.log(`Invalidating cache pattern: ${pattern}`);
-
-      // This is a simplified approach - in production you'd want
-      // more sophisticated pattern matching
-      if (pattern.includes("*")) {
-        await cacheManager.clear();
-      } else {
-        await cacheManager.del(pattern);
-      }
+    // Tagged routes name exactly what they touch; only fall back to a
+    // route-based pattern when nothing was specified
+    const patterns = [...keyPatterns];
+    if (patterns.length === 0 && tags.length === 0) {
+      // Default: every cached GET under the same resource, e.g. /api/users
+      const resource = (req.baseUrl + req.path)
+        .split("/")
+        .filter(Boolean)
+        .slice(0, 2)
+        .join("/");
+      patterns.push(`api:GET:/${resource}*`);
+    }
+
+    for (const pattern of patterns) {
+      // INTERVIEW CONCEPT: Glob Invalidation
+      // Globs (* ? [..]) remove every matching key; anything else is a
+      // literal key
+      const removed = /[*?[]/.test(pattern)
+        ? await cacheManager.delPattern(pattern)
+        : Number(await cacheManager.del(pattern));
+      console.log(`Invalidated ${removed} cache entries matching: ${pattern}`);
     }
   } catch (error) {
     console.error("Cache invalidation error:", error);
@@ -219,4 +474,6 @@ module.exports = {
   cacheStatsMiddleware,
   userAwareCacheMiddleware,
   generateDefaultCacheKey,
+  resolveTags,
+  generateETag,
 };
@@ -0,0 +1,35 @@
+const { KeyRing } = require("./auth/keyRing");
+
+/**
+ * Add a new JWT signing key to the key ring
+ *
+ *   npm run keys:rotate            # uses JWT_ALGORITHM
+ *   npm run keys:rotate -- ES256   # switch algorithm for new tokens
+ *
+ * Running servers pick up the new key file on their next sign/verify.
+ * Tokens signed with older keys keep verifying until those keys fall off
+ * the end of the ring (JWT_MAX_KEYS, default 3).
+ */
+const algorithm = process.argv[2] || process.env.JWT_ALGORITHM;
+
+if (!algorithm || algorithm === "HS256") {
+  console.error(
+    "Key rotation needs an asymmetric algorithm: set JWT_ALGORITHM=RS256|ES256 or pass it as an argument"
+  );
+  process.exit(1);
+}
+
+try {
+  const keyRing = new KeyRing({ algorithm });
+  const key = keyRing.rotate();
+
+  console.log(`New signing key: ${key.kid} (${key.alg})`);
+  console.log(`Key file: ${keyRing.filePath}`);
+  console.log("Keys in ring (newest first):");
+  for (const { kid, alg, createdAt } of keyRing.keys) {
+    console.log(`  ${kid}  ${alg}  ${createdAt}`);
+  }
+} catch (error) {
+  console.error(`Key rotation failed: ${error.message}`);
+  process.exit(1);
+}
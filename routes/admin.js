@@ -1,6 +1,35 @@
 const express = require("express");
-const { authenticate, authorize } = require("../auth/authMiddleware");
+const { validationResult } = require("express-validator");
+const {
+  authenticateSelf,
+  requirePermission,
+} = require("../auth/authMiddleware");
 const User = require("../auth/User");
+const authEvents = require("../auth/authEvents");
+const { roleRegistry } = require("../auth/rbac");
+const {
+  roleAssignments,
+  RoleRequestError,
+} = require("../auth/roleAssignments");
+const {
+  impersonationService,
+  ImpersonationError,
+} = require("../auth/impersonation");
+const { oauthClients } = require("../auth/oauthClients");
+const {
+  invitationService,
+  sendInvitationError,
+} = require("../auth/invitations");
+const { privacyService, sendPrivacyError } = require("../auth/privacy");
+const {
+  roleDefinitionValidation,
+  roleAssignmentValidation,
+  roleRequestDecisionValidation,
+  impersonationValidation,
+  oauthClientValidation,
+  invitationValidation,
+  resendInvitationValidation,
+} = require("../auth/validators");
 
 const router = express.Router();
 
@@ -29,23 +58,28 @@ const router = express.Router();
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the users:list permission
  */
-router.get("/users", authenticate, authorize("admin"), (req, res) => {
-  try {
-    const users = User.getAllUsers();
-    res.json({
-      success: true,
-      data: users,
-      total: users.length,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Internal server error",
-    });
+router.get(
+  "/users",
+  authenticateSelf,
+  requirePermission("users:list"),
+  async (req, res) => {
+    try {
+      const users = await User.getAllUsers();
+      res.json({
+        success: true,
+        data: users,
+        total: users.length,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -76,20 +110,20 @@ router.get("/users", authenticate, authorize("admin"), (req, res) => {
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the users:status permission
  *       404:
  *         description: User not found
  */
 router.patch(
   "/users/:userId/status",
-  authenticate,
-  authorize("admin"),
-  (req, res) => {
+  authenticateSelf,
+  requirePermission("users:status"),
+  async (req, res) => {
     try {
       const { userId } = req.params;
       const { isActive } = req.body;
 
-      const updatedUser = User.updateUser(userId, { isActive });
+      const updatedUser = await User.updateUser(userId, { isActive });
       if (!updatedUser) {
         return res.status(404).json({
           success: false,
@@ -111,6 +145,89 @@ router.patch(
   }
 );
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/impersonate:
+ *   post:
+ *     summary: Impersonate a user (support)
+ *     description: Returns a short-lived access token for the user with an `act` claim naming you. It cannot be refreshed and cannot change passwords, manage MFA or API keys, or call admin routes. Every request made with it is written to the impersonation audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Reproducing ticket 4312
+ *     responses:
+ *       201:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing the users:impersonate permission, or the target cannot be impersonated
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is inactive
+ */
+router.post(
+  "/users/:userId/impersonate",
+  authenticateSelf,
+  requirePermission("users:impersonate"),
+  impersonationValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await impersonationService.start(
+        req.user.userId,
+        req.params.userId,
+        req,
+        req.body.reason
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Impersonating ${result.user.username}`,
+        data: result,
+      });
+    } catch (error) {
+      if (error instanceof ImpersonationError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/admin/stats:
@@ -141,34 +258,1060 @@ router.patch(
  *                     usersByRole:
  *                       type: object
  */
-router.get("/stats", authenticate, authorize("admin"), (req, res) => {
-  try {
-    const users = User.getAllUsers();
-    const stats = {
-      totalUsers: users.length,
-      activeUsers: users.filter((user) => user.isActive).length,
-      adminUsers: users.filter((user) => user.role === "admin").length,
-      usersByRole: users.reduce((acc, user) => {
-        acc[user.role] = (acc[user.role] || 0) + 1;
-        return acc;
-      }, {}),
-      systemInfo: {
-        nodeVersion: process.version,
-        uptime: process.uptime(),
-        memoryUsage: process.memoryUsage(),
-      },
-    };
-
-    res.json({
-      success: true,
-      data: stats,
-    });
-  } catch (error) {
-    res.status(500).json({
+router.get(
+  "/stats",
+  authenticateSelf,
+  requirePermission("stats:read"),
+  async (req, res) => {
+    try {
+      const users = await User.getAllUsers();
+      const stats = {
+        totalUsers: users.length,
+        activeUsers: users.filter((user) => user.isActive).length,
+        adminUsers: users.filter((user) => user.role === "admin").length,
+        usersByRole: users.reduce((acc, user) => {
+          acc[user.role] = (acc[user.role] || 0) + 1;
+          return acc;
+        }, {}),
+        systemInfo: {
+          nodeVersion: process.version,
+          uptime: process.uptime(),
+          memoryUsage: process.memoryUsage(),
+        },
+      };
+
+      res.json({
+        success: true,
+        data: stats,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List role definitions
+ *     description: Each role with its own permissions, the roles it inherits from and its effective permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role definitions
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the roles:read permission
+ */
+router.get(
+  "/roles",
+  authenticateSelf,
+  requirePermission("roles:read"),
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: roleRegistry.getRoles(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/roles/{role}:
+ *   get:
+ *     summary: Get a role definition
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role definition
+ *       404:
+ *         description: Role not found
+ *   put:
+ *     summary: Create or replace a role definition
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               description:
+ *                 type: string
+ *               inherits:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [user]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["posts:delete:any", "reports:*"]
+ *     responses:
+ *       200:
+ *         description: Role saved
+ *       400:
+ *         description: Invalid definition (unknown parent role, inheritance cycle, ...)
+ *       403:
+ *         description: Missing the roles:write permission
+ *   delete:
+ *     summary: Delete a role definition
+ *     description: The user and admin roles, roles other roles inherit from, and roles still assigned to users cannot be deleted
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is protected or still in use
+ */
+router.get(
+  "/roles/:role",
+  authenticateSelf,
+  requirePermission("roles:read"),
+  (req, res) => {
+    try {
+      const role = roleRegistry.getRole(req.params.role);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: role,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+router.put(
+  "/roles/:role",
+  authenticateSelf,
+  requirePermission("roles:write"),
+  roleDefinitionValidation,
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { description, inherits, permissions } = req.body;
+      const previous = roleRegistry.getRole(req.params.role);
+      let role;
+      try {
+        role = roleRegistry.setRole(req.params.role, {
+          description,
+          inherits,
+          permissions,
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      // Not subject to REQUIRE_ROLE_APPROVAL - see the role assignment docs
+      authEvents.emit("role.definition_changed", {
+        role: req.params.role,
+        previous,
+        definition: role,
+        changedBy: req.user.userId,
+      });
+
+      res.json({
+        success: true,
+        message: "Role saved successfully",
+        data: role,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+router.delete(
+  "/roles/:role",
+  authenticateSelf,
+  requirePermission("roles:write"),
+  async (req, res) => {
+    try {
+      const { role } = req.params;
+      if (!roleRegistry.hasRole(role)) {
+        return res.status(404).json({
+          success: false,
+          message: "Role not found",
+        });
+      }
+
+      const users = await User.getAllUsers();
+      const assigned = users.filter((user) => user.role === role).length;
+      if (assigned > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is still assigned to ${assigned} user(s)`,
+        });
+      }
+
+      try {
+        roleRegistry.deleteRole(role);
+      } catch (error) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Role deleted successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+const sendRoleRequestError = (res, error) => {
+  if (error instanceof RoleRequestError) {
+    return res.status(error.status).json({
       success: false,
-      message: "Internal server error",
+      message: error.message,
     });
   }
-});
+
+  res.status(500).json({
+    success: false,
+    message: "Internal server error",
+  });
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   post:
+ *     summary: Assign a role to a user
+ *     description: Records a role request. With REQUIRE_ROLE_APPROVAL=true it stays pending until a second administrator approves it; otherwise it is applied immediately. The user has to sign in again after the change.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: moderator
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *       202:
+ *         description: Role request created, waiting for approval
+ *       400:
+ *         description: Unknown role
+ *       403:
+ *         description: Missing the roles:assign permission, or changing your own role
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User already has the role or a pending request
+ */
+router.post(
+  "/users/:userId/role",
+  authenticateSelf,
+  requirePermission("roles:assign"),
+  roleAssignmentValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const request = await roleAssignments.requestRoleChange({
+        userId: req.params.userId,
+        role: req.body.role,
+        requestedBy: req.user.userId,
+        reason: req.body.reason,
+      });
+
+      const pending = request.status === "pending";
+      res.status(pending ? 202 : 200).json({
+        success: true,
+        message: pending
+          ? "Role request created and waiting for approval"
+          : "Role assigned successfully",
+        data: request,
+      });
+    } catch (error) {
+      sendRoleRequestError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/role-requests:
+ *   get:
+ *     summary: List role requests
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role requests, oldest first
+ *       403:
+ *         description: Missing the roles:read permission
+ */
+router.get(
+  "/role-requests",
+  authenticateSelf,
+  requirePermission("roles:read"),
+  async (req, res) => {
+    try {
+      const { status, userId } = req.query;
+      const requests = await roleAssignments.listRequests({ status, userId });
+
+      res.json({
+        success: true,
+        data: requests,
+        total: requests.length,
+      });
+    } catch (error) {
+      sendRoleRequestError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/role-requests/{requestId}:
+ *   get:
+ *     summary: Get a role request
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role request
+ *       404:
+ *         description: Role request not found
+ */
+router.get(
+  "/role-requests/:requestId",
+  authenticateSelf,
+  requirePermission("roles:read"),
+  async (req, res) => {
+    try {
+      const request = await roleAssignments.getRequest(req.params.requestId);
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: "Role request not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: request,
+      });
+    } catch (error) {
+      sendRoleRequestError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/role-requests/{requestId}/approve:
+ *   post:
+ *     summary: Approve a pending role request
+ *     description: Must be done by an administrator other than the one who made the request (and not the target user)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role request approved and role applied
+ *       403:
+ *         description: Missing the roles:approve permission, or deciding your own request
+ *       404:
+ *         description: Role request not found
+ *       409:
+ *         description: Role request already decided
+ * /api/admin/role-requests/{requestId}/reject:
+ *   post:
+ *     summary: Reject a pending role request
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role request rejected
+ *       403:
+ *         description: Missing the roles:approve permission, or deciding your own request
+ *       404:
+ *         description: Role request not found
+ *       409:
+ *         description: Role request already decided
+ */
+router.post(
+  "/role-requests/:requestId/approve",
+  authenticateSelf,
+  requirePermission("roles:approve"),
+  roleRequestDecisionValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const request = await roleAssignments.approve(
+        req.params.requestId,
+        req.user.userId,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: "Role request approved",
+        data: request,
+      });
+    } catch (error) {
+      sendRoleRequestError(res, error);
+    }
+  }
+);
+
+router.post(
+  "/role-requests/:requestId/reject",
+  authenticateSelf,
+  requirePermission("roles:approve"),
+  roleRequestDecisionValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const request = await roleAssignments.reject(
+        req.params.requestId,
+        req.user.userId,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: "Role request rejected",
+        data: request,
+      });
+    } catch (error) {
+      sendRoleRequestError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   get:
+ *     summary: List invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitations, oldest first
+ *       403:
+ *         description: Missing the users:invite permission
+ *   post:
+ *     summary: Invite someone to create an account
+ *     description: Emails a single-use sign-up link. A role other than user also needs the roles:assign permission and is granted through the role assignment workflow when the invitation is accepted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 default: user
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 description: Defaults to INVITATION_EXPIRES_DAYS (7)
+ *     responses:
+ *       201:
+ *         description: Invitation created and sent
+ *       400:
+ *         description: Validation error or unknown role
+ *       403:
+ *         description: Missing the users:invite or roles:assign permission
+ *       409:
+ *         description: Email already registered or already invited
+ */
+router.get(
+  "/invitations",
+  authenticateSelf,
+  requirePermission("users:invite"),
+  async (req, res) => {
+    try {
+      const { status, email } = req.query;
+      const invitations = await invitationService.list({ status, email });
+
+      res.json({
+        success: true,
+        data: invitations,
+        total: invitations.length,
+      });
+    } catch (error) {
+      sendInvitationError(res, error);
+    }
+  }
+);
+
+router.post(
+  "/invitations",
+  authenticateSelf,
+  requirePermission("users:invite"),
+  invitationValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const role = req.body.role || "user";
+
+      // Inviting someone into a role is the same as assigning it
+      if (
+        role !== "user" &&
+        !roleRegistry.hasPermission(req.user.role, "roles:assign")
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Insufficient permissions",
+          missingPermissions: ["roles:assign"],
+        });
+      }
+
+      const invitation = await invitationService.create({
+        email: req.body.email,
+        role,
+        invitedBy: req.user.userId,
+        expiresInDays: req.body.expiresInDays,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data: invitation,
+      });
+    } catch (error) {
+      sendInvitationError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/invitations/{invitationId}/resend:
+ *   post:
+ *     summary: Resend an invitation
+ *     description: Sends a new link with a new expiry. Links sent earlier stop working. Expired invitations can be resent.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       403:
+ *         description: Missing the users:invite permission
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked
+ */
+router.post(
+  "/invitations/:invitationId/resend",
+  authenticateSelf,
+  requirePermission("users:invite"),
+  resendInvitationValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const invitation = await invitationService.resend(
+        req.params.invitationId,
+        req.user.userId,
+        req.body.expiresInDays
+      );
+
+      res.json({
+        success: true,
+        message: `Invitation resent to ${invitation.email}`,
+        data: invitation,
+      });
+    } catch (error) {
+      sendInvitationError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: The invitation link stops working immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Missing the users:invite permission
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked
+ */
+router.delete(
+  "/invitations/:invitationId",
+  authenticateSelf,
+  requirePermission("users:invite"),
+  async (req, res) => {
+    try {
+      const invitation = await invitationService.revoke(
+        req.params.invitationId,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Invitation revoked",
+        data: invitation,
+      });
+    } catch (error) {
+      sendInvitationError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/deletions:
+ *   get:
+ *     summary: List pending account deletions
+ *     description: Accounts their owners asked to delete, soonest first. Each is erased once its scheduledFor date passes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending deletions
+ *       403:
+ *         description: Missing the users:delete permission
+ */
+router.get(
+  "/deletions",
+  authenticateSelf,
+  requirePermission("users:delete"),
+  async (req, res) => {
+    try {
+      const deletions = await privacyService.listPendingDeletions();
+
+      res.json({
+        success: true,
+        data: { deletions, count: deletions.length },
+      });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/deletions/{userId}/cancel:
+ *   post:
+ *     summary: Cancel a pending account deletion
+ *     description: Reactivates the account. The owner signs in again as usual.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       403:
+ *         description: Missing the users:delete permission
+ *       404:
+ *         description: No pending deletion for this user
+ */
+router.post(
+  "/deletions/:userId/cancel",
+  authenticateSelf,
+  requirePermission("users:delete"),
+  async (req, res) => {
+    try {
+      const deletion = await privacyService.cancelDeletion(
+        req.params.userId,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Account deletion cancelled and account reactivated",
+        data: deletion,
+      });
+    } catch (error) {
+      sendPrivacyError(res, error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/oauth-clients:
+ *   get:
+ *     summary: List OAuth2 clients
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered clients, without secrets
+ *       403:
+ *         description: Missing the clients:read permission
+ *   post:
+ *     summary: Register an OAuth2 client
+ *     description: Returns the client secret once. The client uses it at /oauth/token.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: billing-service
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [compute]
+ *     responses:
+ *       201:
+ *         description: Client registered, secret returned once
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing the clients:write permission
+ */
+router.get(
+  "/oauth-clients",
+  authenticateSelf,
+  requirePermission("clients:read"),
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: { clients: oauthClients.list() },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+router.post(
+  "/oauth-clients",
+  authenticateSelf,
+  requirePermission("clients:write"),
+  oauthClientValidation,
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { clientSecret, client } = oauthClients.create({
+        name: req.body.name,
+        scopes: req.body.scopes,
+        createdBy: req.user.userId,
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          "Client registered. Copy the secret now - it will not be shown again.",
+        data: { clientSecret, client },
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/oauth-clients/{clientId}:
+ *   delete:
+ *     summary: Delete an OAuth2 client
+ *     description: Its outstanding tokens stop working immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client deleted
+ *       403:
+ *         description: Missing the clients:write permission
+ *       404:
+ *         description: Client not found
+ */
+router.delete(
+  "/oauth-clients/:clientId",
+  authenticateSelf,
+  requirePermission("clients:write"),
+  (req, res) => {
+    try {
+      if (!oauthClients.delete(req.params.clientId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Client not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Client deleted",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  }
+);
 
 module.exports = router;
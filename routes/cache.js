@@ -56,6 +56,14 @@ function initializeAdvancedCaching() {
 initializeRedis();
 initializeAdvancedCaching();
 
+// INTERVIEW CONCEPT: Cache Invalidation on Data Changes
+// Registered before the routes so it can wrap their responses
+router.use(
+  cacheInvalidationMiddleware({
+    keyPatterns: ["api:*cache*", "user-data:*"],
+  })
+);
+
 /**
  * @swagger
  * components:
@@ -79,6 +87,9 @@ initializeAdvancedCaching();
  *           type: integer
  *         size:
  *           type: integer
+ *         evictions:
+ *           type: integer
+ *           description: Entries evicted to stay within limits (bounded strategy)
  *         type:
  *           type: string
  */
@@ -318,13 +329,15 @@ router.get("/advanced/metrics", async (req, res) => {
  * /api/cache/demo/slow-data:
  *   get:
  *     summary: Get slow data (cached)
- *     description: Demonstrates automatic caching of slow API responses
+ *     description: Demonstrates automatic caching of slow API responses, with stale-while-revalidate and stale-if-error
  *     tags: [Cache]
  */
 // INTERVIEW CONCEPT: Automatic Response Caching
 router.get(
   "/demo/slow-data",
-  cacheMiddleware({ ttl: 60 }), // Cache for 1 minute
+  // Fresh for 1 minute, then served stale for up to 2 more while it is
+  // refreshed, or for up to 10 if the refresh fails
+  cacheMiddleware({ ttl: 60, staleWhileRevalidate: 120, staleIfError: 600 }),
   async (req, res) => {
     // Simulate slow data processing
     await new Promise((resolve) => setTimeout(resolve, 2000));
@@ -377,11 +390,4 @@ router.get(
   }
 );
 
-// INTERVIEW CONCEPT: Cache Invalidation on Data Changes
-router.use(
-  cacheInvalidationMiddleware({
-    keyPatterns: ["api:*cache*", "user-data:*"],
-  })
-);
-
 module.exports = router;
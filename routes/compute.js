@@ -4,8 +4,19 @@
 const express = require("express");
 const { Worker } = require("worker_threads");
 const path = require("path");
+const { authenticateWith } = require("../auth/authMiddleware");
 const router = express.Router();
 
+// The compute routes stay open to anonymous callers. Batch jobs may send a
+// personal API key and internal services an OAuth2 client token with the
+// compute scope; whatever is sent has to be valid
+const computeAuth = authenticateWith({
+  optional: true,
+  allowApiKey: true,
+  apiKeyScope: "compute",
+  clientScope: "compute",
+});
+
 // INTERVIEW CONCEPT: Worker Thread Pool Management
 // Simple worker pool to reuse threads and avoid constant creation/destruction
 class WorkerPool {
@@ -73,6 +84,11 @@ const workerPool = new WorkerPool(4);
  *     summary: Find prime numbers using worker threads
  *     description: Demonstrates CPU-intensive computation using worker threads to avoid blocking the main thread
  *     tags: [Compute]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *       - oauthClient: [compute]
+ *       - {}
  *     requestBody:
  *       required: true
  *       content:
@@ -117,9 +133,13 @@ const workerPool = new WorkerPool(4);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or expired credentials
+ *       403:
+ *         description: API key or client token is missing the compute scope
  */
 // INTERVIEW CONCEPT: Non-blocking CPU-Intensive Route
-router.post("/primes", async (req, res) => {
+router.post("/primes", computeAuth, async (req, res) => {
   try {
     const { numbers } = req.body;
 
@@ -169,6 +189,11 @@ router.post("/primes", async (req, res) => {
  *     summary: Calculate Fibonacci sequence (blocking vs non-blocking)
  *     description: Demonstrates the difference between blocking and non-blocking operations
  *     tags: [Compute]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *       - oauthClient: [compute]
+ *       - {}
  *     requestBody:
  *       required: true
  *       content:
@@ -206,9 +231,13 @@ router.post("/primes", async (req, res) => {
  *                   type: string
  *                 mainThreadBlocked:
  *                   type: boolean
+ *       401:
+ *         description: Invalid or expired credentials
+ *       403:
+ *         description: API key or client token is missing the compute scope
  */
 // INTERVIEW CONCEPT: Blocking vs Non-blocking Comparison
-router.post("/fibonacci", async (req, res) => {
+router.post("/fibonacci", computeAuth, async (req, res) => {
   try {
     const { n, useWorkerThread = true } = req.body;
 
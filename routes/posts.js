@@ -1,4 +1,6 @@
 const express = require("express");
+const { optionalAuth } = require("../auth/authMiddleware");
+const { privacyService } = require("../auth/privacy");
 const router = express.Router();
 
 // INTERVIEW CONCEPT: Related Data Structure
@@ -28,6 +30,23 @@ let posts = [
   },
 ];
 
+// Posts created while signed in record the account as authorId, so they
+// show up in that account's data export and go away with the account
+privacyService.registerSource("posts", {
+  export: (user) => posts.filter((p) => p.authorId === user.id),
+  erase: (user, mode) => {
+    if (mode === "delete") {
+      posts = posts.filter((p) => p.authorId !== user.id);
+    } else {
+      posts
+        .filter((p) => p.authorId === user.id)
+        .forEach((p) => {
+          p.authorId = null;
+        });
+    }
+  },
+});
+
 /**
  * @swagger
  * /api/posts:
@@ -137,8 +156,11 @@ router.get("/:id", (req, res) => {
  * /api/posts:
  *   post:
  *     summary: Create a new post
- *     description: Create a new post linked to a user
+ *     description: Create a new post linked to a user. When called with a token, the account is recorded as the post's authorId.
  *     tags: [Posts]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -176,7 +198,7 @@ router.get("/:id", (req, res) => {
  */
 // INTERVIEW CONCEPT: Resource Creation with Relationships
 // Creates posts linked to users via userId
-router.post("/", (req, res) => {
+router.post("/", optionalAuth, (req, res) => {
   const { title, content, userId } = req.body;
 
   // INTERVIEW CONCEPT: Multi-field Validation
@@ -194,6 +216,7 @@ router.post("/", (req, res) => {
     title,
     content,
     userId: parseInt(userId), // Ensure userId is a number
+    authorId: req.user ? req.user.userId : null, // Signed-in author, if any
     createdAt: new Date(), // Automatic timestamp
   };
 
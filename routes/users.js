@@ -8,7 +8,7 @@ const {
 } = require("../middleware/cacheMiddleware");
 const {
   authenticate,
-  authorize,
+  requirePermission,
   optionalAuth,
 } = require("../auth/authMiddleware");
 const router = express.Router();
@@ -73,7 +73,7 @@ let users = [
 router.get(
   "/",
   optionalAuth, // Optional authentication - shows different data based on auth status
-  cacheMiddleware({ ttl: 60 }), // Cache for 1 minute
+  cacheMiddleware({ ttl: 60, tags: ["users"] }), // Cache for 1 minute
   (req, res) => {
     // INTERVIEW CONCEPT: Destructuring with Default Values
     // Extract query parameters with fallback defaults
@@ -134,7 +134,7 @@ router.get(
 // :id is a route parameter accessible via req.params
 router.get(
   "/:id",
-  cacheMiddleware({ ttl: 300 }), // Cache individual users for 5 minutes
+  cacheMiddleware({ ttl: 300, tags: ["user:{id}"] }), // Cache individual users for 5 minutes
   (req, res) => {
     // INTERVIEW CONCEPT: Type Conversion
     // req.params values are always strings, convert to number
@@ -208,43 +208,49 @@ router.get(
  */
 // INTERVIEW CONCEPT: POST Route for Resource Creation
 // Demonstrates data validation, conflict checking, and resource creation
-router.post("/", authenticate, authorize("admin"), (req, res) => {
-  // INTERVIEW CONCEPT: Request Body Destructuring
-  // Extract data from request body (parsed by express.json() middleware)
-  const { name, email, age } = req.body;
+router.post(
+  "/",
+  authenticate,
+  requirePermission("users:write"),
+  cacheInvalidationMiddleware({ tags: ["users"] }),
+  (req, res) => {
+    // INTERVIEW CONCEPT: Request Body Destructuring
+    // Extract data from request body (parsed by express.json() middleware)
+    const { name, email, age } = req.body;
 
-  // INTERVIEW CONCEPT: Input Validation
-  // Always validate required fields
-  // 400 Bad Request for invalid input
-  if (!name || !email) {
-    return res.status(400).json({ error: "Name and email are required" });
-  }
+    // INTERVIEW CONCEPT: Input Validation
+    // Always validate required fields
+    // 400 Bad Request for invalid input
+    if (!name || !email) {
+      return res.status(400).json({ error: "Name and email are required" });
+    }
 
-  // INTERVIEW CONCEPT: Business Logic Validation
-  // Check for duplicate email addresses
-  // 409 Conflict for resource conflicts
-  const existingUser = users.find((u) => u.email === email);
-  if (existingUser) {
-    return res.status(409).json({ error: "Email already exists" });
-  }
+    // INTERVIEW CONCEPT: Business Logic Validation
+    // Check for duplicate email addresses
+    // 409 Conflict for resource conflicts
+    const existingUser = users.find((u) => u.email === email);
+    if (existingUser) {
+      return res.status(409).json({ error: "Email already exists" });
+    }
 
-  // INTERVIEW CONCEPT: Object Creation with Spread Operator
-  // Create new user object with auto-generated ID
-  const newUser = {
-    id: users.length + 1, // Simple ID generation (use UUID in production)
-    name,
-    email,
-    age: age || null, // Handle optional fields
-  };
+    // INTERVIEW CONCEPT: Object Creation with Spread Operator
+    // Create new user object with auto-generated ID
+    const newUser = {
+      id: users.length + 1, // Simple ID generation (use UUID in production)
+      name,
+      email,
+      age: age || null, // Handle optional fields
+    };
 
-  // INTERVIEW CONCEPT: Data Persistence
-  // Add to in-memory store (would be database in production)
-  users.push(newUser);
+    // INTERVIEW CONCEPT: Data Persistence
+    // Add to in-memory store (would be database in production)
+    users.push(newUser);
 
-  // INTERVIEW CONCEPT: HTTP Status Codes
-  // 201 Created for successful resource creation
-  res.status(201).json(newUser);
-});
+    // INTERVIEW CONCEPT: HTTP Status Codes
+    // 201 Created for successful resource creation
+    res.status(201).json(newUser);
+  }
+);
 
 /**
  * @swagger
@@ -295,33 +301,39 @@ router.post("/", authenticate, authorize("admin"), (req, res) => {
  */
 // INTERVIEW CONCEPT: PUT Route for Resource Updates
 // Demonstrates partial updates and object merging
-router.put("/:id", authenticate, authorize("admin"), (req, res) => {
-  const userId = parseInt(req.params.id);
+router.put(
+  "/:id",
+  authenticate,
+  requirePermission("users:write"),
+  cacheInvalidationMiddleware({ tags: ["users", "user:{id}"] }),
+  (req, res) => {
+    const userId = parseInt(req.params.id);
 
-  // INTERVIEW CONCEPT: Array.findIndex() Method
-  // Returns index of first matching element, -1 if not found
-  const userIndex = users.findIndex((u) => u.id === userId);
+    // INTERVIEW CONCEPT: Array.findIndex() Method
+    // Returns index of first matching element, -1 if not found
+    const userIndex = users.findIndex((u) => u.id === userId);
 
-  if (userIndex === -1) {
-    return res.status(404).json({ error: "User not found" });
-  }
+    if (userIndex === -1) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-  const { name, email, age } = req.body;
+    const { name, email, age } = req.body;
 
-  // INTERVIEW CONCEPT: Object Spread and Conditional Properties
-  // Merge existing user with new data
-  // Only update fields that are provided
-  users[userIndex] = {
-    ...users[userIndex], // Keep existing properties
-    ...(name && { name }), // Conditional property assignment
-    ...(email && { email }),
-    ...(age !== undefined && { age }), // Handle falsy values correctly
-  };
+    // INTERVIEW CONCEPT: Object Spread and Conditional Properties
+    // Merge existing user with new data
+    // Only update fields that are provided
+    users[userIndex] = {
+      ...users[userIndex], // Keep existing properties
+      ...(name && { name }), // Conditional property assignment
+      ...(email && { email }),
+      ...(age !== undefined && { age }), // Handle falsy values correctly
+    };
 
-  // INTERVIEW CONCEPT: Return Updated Resource
-  // Good practice to return the updated object
-  res.json(users[userIndex]);
-});
+    // INTERVIEW CONCEPT: Return Updated Resource
+    // Good practice to return the updated object
+    res.json(users[userIndex]);
+  }
+);
 
 /**
  * @swagger
@@ -359,31 +371,29 @@ router.put("/:id", authenticate, authorize("admin"), (req, res) => {
  */
 // INTERVIEW CONCEPT: DELETE Route for Resource Removal
 // Demonstrates safe deletion with confirmation response
-router.delete("/:id", authenticate, authorize("admin"), (req, res) => {
-  const userId = parseInt(req.params.id);
-  const userIndex = users.findIndex((u) => u.id === userId);
-
-  if (userIndex === -1) {
-    return res.status(404).json({ error: "User not found" });
-  }
+router.delete(
+  "/:id",
+  authenticate,
+  requirePermission("users:delete"),
+  cacheInvalidationMiddleware({ tags: ["users", "user:{id}"] }),
+  (req, res) => {
+    const userId = parseInt(req.params.id);
+    const userIndex = users.findIndex((u) => u.id === userId);
 
-  // INTERVIEW CONCEPT: Array.splice() Method
-  // Removes element at index and returns array of removed elements
-  // [0] gets the first (and only) removed element
-  const deletedUser = users.splice(userIndex, 1)[0];
+    if (userIndex === -1) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-  // INTERVIEW CONCEPT: Deletion Confirmation Response
-  // Return confirmation message with deleted resource data
-  // Helps with debugging and audit trails
-  res.json({ message: "User deleted successfully", user: deletedUser });
-});
+    // INTERVIEW CONCEPT: Array.splice() Method
+    // Removes element at index and returns array of removed elements
+    // [0] gets the first (and only) removed element
+    const deletedUser = users.splice(userIndex, 1)[0];
 
-// INTERVIEW CONCEPT: Cache Invalidation on Data Changes
-// Invalidate user-related cache when users are modified
-router.use(
-  cacheInvalidationMiddleware({
-    keyPatterns: ["api:*users*"],
-  })
+    // INTERVIEW CONCEPT: Deletion Confirmation Response
+    // Return confirmation message with deleted resource data
+    // Helps with debugging and audit trails
+    res.json({ message: "User deleted successfully", user: deletedUser });
+  }
 );
 
 // INTERVIEW CONCEPT: Module Exports
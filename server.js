@@ -7,6 +7,7 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
+const { keyRing } = require("./auth/keyRing");
 
 // INTERVIEW CONCEPT: Environment Variables
 // dotenv loads variables from .env file into process.env
@@ -44,8 +45,19 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // CORS middleware - handles Cross-Origin Resource Sharing
-// Essential for APIs that serve frontend applications from different domains
-app.use(cors());
+// Essential for APIs that serve frontend applications from different domains.
+// Cookie auth from another origin needs that origin listed in CORS_ORIGIN,
+// because credentialed requests cannot use the "*" wildcard.
+app.use(
+  cors(
+    process.env.CORS_ORIGIN
+      ? {
+          origin: process.env.CORS_ORIGIN.split(",").map((o) => o.trim()),
+          credentials: true,
+        }
+      : undefined
+  )
+);
 
 // Built-in middleware for parsing JSON payloads
 // Parses incoming requests with JSON payloads (Content-Type: application/json)
@@ -132,6 +144,11 @@ const swaggerOptions = {
               type: "integer",
               description: "ID of the user who created the post",
             },
+            authorId: {
+              type: "string",
+              nullable: true,
+              description: "Account that created the post, if signed in",
+            },
             createdAt: {
               type: "string",
               format: "date-time",
@@ -175,12 +192,41 @@ app.use(
 // app.use() mounts router modules at specific paths
 // This promotes code organization and separation of concerns
 app.use("/api/auth", require("./auth/authRoutes"));
+app.use("/oauth", require("./auth/oauthRoutes"));
 app.use("/api/admin", require("./routes/admin"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/posts", require("./routes/posts"));
 app.use("/api/compute", require("./routes/compute"));
 app.use("/api/cache", require("./routes/cache"));
 
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set
+ *     description: Public keys for verifying our RS256/ES256 tokens offline. Match a token's `kid` header to a key. Empty when tokens are signed with HS256.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Current and previous signing keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+// INTERVIEW CONCEPT: JWKS (JSON Web Key Set)
+// Publishing public keys lets other services verify tokens without
+// sharing the signing secret; the kid header picks the right key
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(keyRing.getJwks());
+});
+
 // INTERVIEW CONCEPT: Health Check Endpoint
 // Essential for monitoring, load balancers, and container orchestration
 // Shows server status, uptime, and timestamp
@@ -280,6 +326,15 @@ app.use("*", (req, res) => {
   res.status(404).json({ error: "Route not found" });
 });
 
+// Refuse to start with bad account deletion settings rather than failing on
+// the first deletion request
+try {
+  require("./auth/privacy").privacyService.start();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // INTERVIEW CONCEPT: Server Startup
 // app.listen() starts the HTTP server on specified port
 // Callback function executes when server is ready to accept connections